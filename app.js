@@ -1,858 +1,3860 @@
-/**
- * BS SE Section C Schedule Application
- * Fetches and displays class schedule from Google Sheets using Google Visualization API
- */
-
-// ========================================
-// Configuration
-// ========================================
-const CONFIG = {
-    // Google Sheet ID
-    SHEET_ID: '1ZQJqdArlwCS965uw4sbJrB6j8rEPfZerMT7X8qkXSzY',
-
-    // Google Sheets API v4 Key (obfuscated)
-    // IMPORTANT: Restrict this key in Google Cloud Console to your domain/IP
-    get API_KEY() {
-        // Obfuscated using base64 encoding
-        const parts = ['QUl6YVN5RElQdlhfcGpt', 'QTdldHhZRHQwY0J5eVox', 'Yl9KaFJSdVRr'];
-        return atob(parts.join(''));
-    },
-
-    // Sheet names for each day
-    SHEET_NAMES: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
-
-    // Section to filter
-    TARGET_SECTION: 'SE-C',
-
-    // Target batch color (2024 batch SE-C cells have this background color)
-    // Hex #85200c = RGB(133, 32, 12) = floats (0.522, 0.125, 0.047)
-    BATCH_COLOR: { r: 0.522, g: 0.125, b: 0.047 },
-    
-    // Color matching tolerance
-    COLOR_TOLERANCE: 0.05,
-
-    // Auto-refresh interval (5 minutes)
-    REFRESH_INTERVAL: 5 * 60 * 1000,
-
-    // Cache key for localStorage
-    CACHE_KEY: 'se_section_c_schedule_2024',
-    CACHE_TIMESTAMP_KEY: 'se_section_c_last_updated_2024',
-
-    // Days of the week
-    DAYS: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
-};
-
-// ========================================
-// State Management
-// ========================================
-const state = {
-    schedule: [],
-    filteredSchedule: [],
-    currentView: 'today',
-    currentDayFilter: 'all',
-    searchQuery: '',
-    isLoading: true,
-    error: null,
-    lastUpdated: null,
-    dataSource: 'loading'
-};
-
-// ========================================
-// DOM Elements
-// ========================================
-const elements = {
-    loadingState: document.getElementById('loadingState'),
-    errorState: document.getElementById('errorState'),
-    errorMessage: document.getElementById('errorMessage'),
-    scheduleContent: document.getElementById('scheduleContent'),
-    viewToday: document.getElementById('viewToday'),
-    viewWeek: document.getElementById('viewWeek'),
-    viewFiltered: document.getElementById('viewFiltered'),
-    todayCards: document.getElementById('todayCards'),
-    filteredCards: document.getElementById('filteredCards'),
-    weekTableBody: document.getElementById('weekTableBody'),
-    navTabs: document.querySelectorAll('.nav-tab'),
-    dayFilters: document.getElementById('dayFilters'),
-    dayBtns: document.querySelectorAll('.day-btn'),
-    searchInput: document.getElementById('searchInput'),
-    clearSearch: document.getElementById('clearSearch'),
-    lastUpdated: document.getElementById('lastUpdated'),
-    themeToggle: document.getElementById('themeToggle'),
-    refreshBtn: document.getElementById('refreshBtn'),
-    retryBtn: document.getElementById('retryBtn'),
-    todayInfo: document.getElementById('todayInfo'),
-    currentDayName: document.getElementById('currentDayName'),
-    currentFullDate: document.getElementById('currentFullDate'),
-    nextClassInfo: document.getElementById('nextClassInfo'),
-    noClassesToday: document.getElementById('noClassesToday'),
-    noResults: document.getElementById('noResults')
-};
-
-// ========================================
-// Utility Functions
-// ========================================
-
-// Regex pattern for matching embedded time in cell text
-// Matches patterns like "09:30-11:15", "9:30-11:15", "09:30 - 11:15", "09:30–11:15"
-const EMBEDDED_TIME_PATTERN = /(\d{1,2}:\d{2}\s*[-–]\s*\d{1,2}:\d{2})/;
-
-function getCurrentDay() {
-    const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    return days[new Date().getDay()];
-}
-
-function formatDate(date) {
-    return date.toLocaleDateString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    });
-}
-
-function formatTime(timeStr) {
-    if (!timeStr) return { start: '', end: '' };
-    const parts = timeStr.split('-');
-    return {
-        start: parts[0] ? parts[0].trim() : '',
-        end: parts[1] ? parts[1].trim() : ''
-    };
-}
-
-function isLabRoom(room) {
-    return room && room.toLowerCase().includes('lab');
-}
-
-function isLabTimeSlot(time) {
-    if (!time) return false;
-    // Lab slots are typically 2h45min long
-    const labTimes = ['08:30-11:15', '11:30-02:15', '02:30-05:15'];
-    return labTimes.some(labTime => time.includes(labTime) || labTime.includes(time));
-}
-
-/**
- * Extract embedded time from cell text
- * Matches patterns like "09:30-11:15", "9:30-11:15", "09:30 - 11:15", "09:30–11:15"
- * @param {string} cellText - Cell content to search for time
- * @returns {string|null} Normalized time string "HH:MM-HH:MM" or null if not found
- */
-function extractEmbeddedTime(cellText) {
-    if (!cellText) return null;
-    
-    const match = cellText.match(EMBEDDED_TIME_PATTERN);
-    
-    if (match) {
-        // Normalize: remove spaces and use standard hyphen
-        return match[1].replace(/\s+/g, '').replace('–', '-');
-    }
-    
-    return null;
-}
-
-/**
- * Clean subject name by removing embedded time and section pattern
- * @param {string} cellText - Original cell content
- * @param {string|null} embeddedTime - Embedded time to remove (if present)
- * @returns {string} Cleaned subject name
- */
-function cleanSubjectName(cellText, embeddedTime) {
-    if (!cellText) return '';
-    
-    let subject = cellText;
-    
-    // Remove embedded time if present
-    if (embeddedTime) {
-        // Remove the original time pattern (may have spaces/en-dash)
-        subject = subject.replace(EMBEDDED_TIME_PATTERN, '');
-    }
-    
-    // Remove section pattern like (SE-C)
-    subject = subject.replace(/\(SE-C\)/gi, '');
-    
-    // Clean up extra spaces and trim
-    subject = subject.replace(/\s+/g, ' ').trim();
-    
-    return subject;
-}
-
-/**
- * Parse subject name and status from cell content
- * Handles cancelled/rescheduled prefixes and embedded time
- * @param {string} content - Cell content to parse
- * @returns {{subject: string|null, status: string, embeddedTime: string|null}} 
- *          Object containing:
- *          - subject: Cleaned subject name (time and section removed)
- *          - status: 'normal', 'cancelled', 'rescheduled', or 'makeup'
- *          - embeddedTime: Extracted time in format "HH:MM-HH:MM" or null
- */
-function parseSubjectAndStatus(content) {
-    if (!content) return { subject: null, status: 'normal', embeddedTime: null };
-    
-    const contentLower = content.toLowerCase();
-    let status = 'normal';
-    let cleanContent = content;
-    
-    // Check for status keywords
-    if (contentLower.includes('cancel')) {
-        status = 'cancelled';
-        cleanContent = content.replace(/cancell?e?d/gi, '').trim();
-    } else if (contentLower.includes('reschedule')) {
-        status = 'rescheduled';
-        cleanContent = content.replace(/rescheduled?/gi, '').trim();
-    } else if (contentLower.includes('postpone')) {
-        status = 'rescheduled';
-        cleanContent = content.replace(/postponed?/gi, '').trim();
-    } else if (contentLower.includes('makeup')) {
-        status = 'makeup';
-        cleanContent = content.replace(/makeup/gi, '').trim();
-    }
-    
-    // Extract embedded time
-    const embeddedTime = extractEmbeddedTime(cleanContent);
-    
-    // Clean subject name (remove embedded time and section pattern)
-    const subject = cleanSubjectName(cleanContent, embeddedTime);
-    
-    return { subject, status, embeddedTime };
-}
-
-function isSectionC(content) {
-    if (!content) return false;
-    return content.toUpperCase().includes('(SE-C)');
-}
-
-/**
- * Check if a color matches the target batch color
- * Returns true if the RGB values are within tolerance
- */
-function matchesBatchColor(cellColor) {
-    if (!cellColor || 
-        cellColor.red === undefined || 
-        cellColor.green === undefined || 
-        cellColor.blue === undefined) {
-        return false;
-    }
-    
-    // Default to 0 if not provided (Google Sheets API may omit 0 values)
-    const r = cellColor.red ?? 0;
-    const g = cellColor.green ?? 0;
-    const b = cellColor.blue ?? 0;
-    
-    const target = CONFIG.BATCH_COLOR;
-    const tolerance = CONFIG.COLOR_TOLERANCE;
-    
-    return Math.abs(r - target.r) <= tolerance &&
-           Math.abs(g - target.g) <= tolerance &&
-           Math.abs(b - target.b) <= tolerance;
-}
-
-function getSubjectColorIndex(subject) {
-    if (!subject) return 1;
-    let hash = 0;
-    for (let i = 0; i < subject.length; i++) {
-        hash = subject.charCodeAt(i) + ((hash << 5) - hash);
-    }
-    return (Math.abs(hash) % 8) + 1;
-}
-
-function timeToMinutes(timeStr) {
-    if (!timeStr) return 0;
-    const cleanTime = timeStr.replace(/[^\d:]/g, '');
-    const [hours, minutes] = cleanTime.split(':').map(s => parseInt(s) || 0);
-    let adjustedHours = hours;
-    if (hours >= 1 && hours <= 5) {
-        adjustedHours = hours + 12;
-    }
-    return adjustedHours * 60 + minutes;
-}
-
-function getNextClass(todayClasses) {
-    const now = new Date();
-    const currentMinutes = now.getHours() * 60 + now.getMinutes();
-
-    const upcoming = todayClasses
-        .map(cls => {
-            const time = formatTime(cls.time);
-            const startMinutes = timeToMinutes(time.start);
-            return { ...cls, startMinutes };
-        })
-        .filter(cls => cls.startMinutes > currentMinutes)
-        .sort((a, b) => a.startMinutes - b.startMinutes);
-
-    return upcoming[0] || null;
-}
-
-// ========================================
-// Google Sheets API v4 Data Fetching
-// ========================================
-
-/**
- * Fetch data from Google Sheets using API v4 with includeGridData
- * This gives us access to cell formatting (colors) for proper batch filtering
- */
-async function fetchGoogleSheetData(sheetName) {
-    const url = `https://sheets.googleapis.com/v4/spreadsheets/${CONFIG.SHEET_ID}?ranges=${encodeURIComponent(sheetName)}&includeGridData=true&key=${CONFIG.API_KEY}`;
-
-    try {
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-
-        const data = await response.json();
-
-        if (data.error) {
-            throw new Error(data.error.message || 'API error');
-        }
-
-        // Return the first sheet's data
-        return data.sheets?.[0]?.data?.[0];
-    } catch (error) {
-        console.error(`Error fetching ${sheetName}:`, error);
-        throw error;
-    }
-}
-
-/**
- * Parse the Google Sheets API v4 response and extract SE-C classes with color filtering
- */
-function parseGoogleSheetData(gridData, day) {
-    const schedule = [];
-
-    if (!gridData || !gridData.rowData) {
-        return schedule;
-    }
-
-    const rows = gridData.rowData;
-
-    // Find the header row with time slots
-    let headerRowIndex = -1;
-    let timeColumns = [];
-
-    for (let i = 0; i < Math.min(10, rows.length); i++) {
-        const row = rows[i];
-        if (!row || !row.values) continue;
-
-        for (let j = 1; j < row.values.length; j++) {
-            const cell = row.values[j];
-            const value = cell?.formattedValue || '';
-            if (typeof value === 'string' && value.includes(':') && value.includes('-')) {
-                headerRowIndex = i;
-                break;
-            }
-        }
-        if (headerRowIndex !== -1) break;
-    }
-
-    if (headerRowIndex === -1) {
-        console.warn(`No header row found for ${day}`);
-        return schedule;
-    }
-
-    // Extract time columns from header row
-    const headerRow = rows[headerRowIndex];
-    for (let j = 1; j < headerRow.values.length; j++) {
-        const cell = headerRow.values[j];
-        const value = cell?.formattedValue || '';
-        if (typeof value === 'string' && value.includes(':')) {
-            timeColumns.push({ index: j, time: value.trim() });
-        }
-    }
-
-    // Parse each data row after header
-    for (let i = headerRowIndex + 1; i < rows.length; i++) {
-        const row = rows[i];
-        if (!row || !row.values) continue;
-
-        // Get room from first column
-        const roomCell = row.values[0];
-        const room = roomCell?.formattedValue || '';
-
-        if (!room || room.toLowerCase().includes('lab sessions') || room.toLowerCase().includes('timetable')) {
-            continue;
-        }
-
-        // Check each time column for SE-C classes with matching color
-        for (const { index, time } of timeColumns) {
-            if (index >= row.values.length) continue;
-            
-            const cell = row.values[index];
-            const cellContent = cell?.formattedValue || '';
-            const backgroundColor = cell?.effectiveFormat?.backgroundColor;
-
-            // Filter by: 1) Contains SE-C text, 2) Has matching background color
-            if (typeof cellContent === 'string' && isSectionC(cellContent)) {
-                // Check color match for batch filtering
-                if (!matchesBatchColor(backgroundColor)) {
-                    continue;
-                }
-
-                const { subject, status, embeddedTime } = parseSubjectAndStatus(cellContent);
-                
-                // Use embedded time if present, otherwise use column header time
-                const finalTime = embeddedTime || time;
-                
-                const isLab = isLabRoom(room) || isLabTimeSlot(finalTime);
-
-                schedule.push({
-                    day,
-                    time: finalTime,
-                    subject,
-                    room: room.trim(),
-                    isLab,
-                    status,
-                    teacher: '', // Placeholder for future enhancement
-                    rawContent: cellContent
-                });
-            }
-        }
-    }
-
-    return schedule;
-}
-
-/**
- * Main fetch function - fetches all days
- */
-async function fetchSchedule() {
-    try {
-        state.isLoading = true;
-        state.error = null;
-        updateUI();
-
-        const schedule = [];
-        let successCount = 0;
-
-        console.log('🔄 Fetching schedule from Google Sheets API v4...');
-
-        // Fetch each day in parallel
-        const fetchPromises = CONFIG.SHEET_NAMES.map(async (day) => {
-            try {
-                const gridData = await fetchGoogleSheetData(day);
-                const daySchedule = parseGoogleSheetData(gridData, day);
-                console.log(`✅ ${day}: Found ${daySchedule.length} SE-C classes`);
-                schedule.push(...daySchedule);
-                successCount++;
-            } catch (error) {
-                console.warn(`⚠️ Failed to fetch ${day}:`, error.message);
-            }
-        });
-
-        await Promise.allSettled(fetchPromises);
-
-        if (successCount > 0 && schedule.length > 0) {
-            state.schedule = schedule;
-            state.dataSource = 'live';
-            state.lastUpdated = new Date();
-            cacheSchedule(schedule);
-            console.log(`✅ Loaded ${schedule.length} total classes from ${successCount} days`);
-        } else {
-            // Try loading from cache
-            const cached = loadCachedSchedule();
-            if (cached && cached.schedule.length > 0) {
-                state.schedule = cached.schedule;
-                state.dataSource = 'cached';
-                state.lastUpdated = new Date(cached.timestamp);
-                console.log('📦 Loaded from cache');
-            } else {
-                state.error = 'Unable to fetch schedule. Please ensure the Google Sheet is shared as "Anyone with the link can view".';
-            }
-        }
-
-        state.isLoading = false;
-        updateUI();
-
-    } catch (error) {
-        console.error('❌ Error fetching schedule:', error);
-        state.error = 'Unable to load schedule. Please check your internet connection.';
-        state.isLoading = false;
-        updateUI();
-    }
-}
-
-function cacheSchedule(schedule) {
-    try {
-        localStorage.setItem(CONFIG.CACHE_KEY, JSON.stringify(schedule));
-        localStorage.setItem(CONFIG.CACHE_TIMESTAMP_KEY, new Date().toISOString());
-    } catch (error) {
-        console.warn('Failed to cache schedule:', error);
-    }
-}
-
-function loadCachedSchedule() {
-    try {
-        const schedule = localStorage.getItem(CONFIG.CACHE_KEY);
-        const timestamp = localStorage.getItem(CONFIG.CACHE_TIMESTAMP_KEY);
-
-        if (schedule && timestamp) {
-            return {
-                schedule: JSON.parse(schedule),
-                timestamp
-            };
-        }
-    } catch (error) {
-        console.warn('Failed to load cached schedule:', error);
-    }
-    return null;
-}
-
-// ========================================
-// UI Rendering
-// ========================================
-
-function updateUI() {
-    elements.loadingState.classList.toggle('hidden', !state.isLoading);
-    elements.errorState.classList.toggle('hidden', !state.error || state.isLoading);
-    elements.scheduleContent.classList.toggle('hidden', state.isLoading || state.error);
-
-    if (state.error) {
-        elements.errorMessage.textContent = state.error;
-        return;
-    }
-
-    if (!state.isLoading) {
-        updateLastUpdated();
-        updateTodayInfo();
-        applyFilters();
-        renderCurrentView();
-    }
-}
-
-function updateLastUpdated() {
-    if (state.lastUpdated) {
-        const timeStr = state.lastUpdated.toLocaleTimeString('en-US', {
-            hour: '2-digit',
-            minute: '2-digit'
-        });
-        const sourceLabel = state.dataSource === 'live' ? '' : ` (${state.dataSource})`;
-        elements.lastUpdated.querySelector('.update-text').textContent = `Updated ${timeStr}${sourceLabel}`;
-    }
-}
-
-function updateTodayInfo() {
-    const today = new Date();
-    const dayName = getCurrentDay();
-
-    elements.currentDayName.textContent = dayName;
-    elements.currentFullDate.textContent = formatDate(today);
-
-    const todayClasses = state.schedule.filter(cls => cls.day === dayName);
-    const nextClass = getNextClass(todayClasses);
-
-    const nextSubject = elements.nextClassInfo.querySelector('.next-subject');
-    const nextTime = elements.nextClassInfo.querySelector('.next-time');
-
-    if (nextClass) {
-        nextSubject.textContent = nextClass.subject;
-        const time = formatTime(nextClass.time);
-        nextTime.textContent = `${time.start} • ${nextClass.room}`;
-    } else if (todayClasses.length > 0) {
-        nextSubject.textContent = 'All done!';
-        nextTime.textContent = 'No more classes today';
-    } else {
-        nextSubject.textContent = 'No Classes';
-        nextTime.textContent = dayName === 'Saturday' || dayName === 'Sunday' ? 'Weekend! 🎉' : 'Day off';
-    }
-}
-
-function applyFilters() {
-    let filtered = [...state.schedule];
-
-    if (state.currentDayFilter !== 'all') {
-        filtered = filtered.filter(cls => cls.day === state.currentDayFilter);
-    }
-
-    if (state.searchQuery) {
-        const query = state.searchQuery.toLowerCase();
-        filtered = filtered.filter(cls =>
-            (cls.subject && cls.subject.toLowerCase().includes(query)) ||
-            (cls.room && cls.room.toLowerCase().includes(query))
-        );
-    }
-
-    const dayOrder = CONFIG.DAYS;
-    filtered.sort((a, b) => {
-        const dayDiff = dayOrder.indexOf(a.day) - dayOrder.indexOf(b.day);
-        if (dayDiff !== 0) return dayDiff;
-        return timeToMinutes(formatTime(a.time).start) - timeToMinutes(formatTime(b.time).start);
-    });
-
-    state.filteredSchedule = filtered;
-}
-
-function renderCurrentView() {
-    elements.viewToday.classList.add('hidden');
-    elements.viewWeek.classList.add('hidden');
-    elements.viewFiltered.classList.add('hidden');
-
-    if (state.searchQuery || state.currentDayFilter !== 'all') {
-        elements.viewFiltered.classList.remove('hidden');
-        renderFilteredView();
-    } else if (state.currentView === 'today') {
-        elements.viewToday.classList.remove('hidden');
-        renderTodayView();
-    } else {
-        elements.viewWeek.classList.remove('hidden');
-        renderWeekView();
-    }
-}
-
-function renderTodayView() {
-    const currentDay = getCurrentDay();
-    const todayClasses = state.schedule
-        .filter(cls => cls.day === currentDay)
-        .sort((a, b) => timeToMinutes(formatTime(a.time).start) - timeToMinutes(formatTime(b.time).start));
-
-    if (todayClasses.length === 0) {
-        elements.todayCards.innerHTML = '';
-        elements.noClassesToday.classList.remove('hidden');
-        return;
-    }
-
-    elements.noClassesToday.classList.add('hidden');
-    elements.todayCards.innerHTML = todayClasses.map((cls, idx) => createScheduleCard(cls, false, idx)).join('');
-}
-
-function renderFilteredView() {
-    if (state.filteredSchedule.length === 0) {
-        elements.filteredCards.innerHTML = '';
-        elements.noResults.classList.remove('hidden');
-        return;
-    }
-
-    elements.noResults.classList.add('hidden');
-    elements.filteredCards.innerHTML = state.filteredSchedule
-        .map((cls, idx) => createScheduleCard(cls, true, idx))
-        .join('');
-}
-
-function renderWeekView() {
-    const allTimes = [...new Set(state.schedule.map(cls => cls.time))];
-
-    allTimes.sort((a, b) => {
-        const aStart = timeToMinutes(a.split('-')[0]);
-        const bStart = timeToMinutes(b.split('-')[0]);
-        return aStart - bStart;
-    });
-
-    let html = '';
-
-    for (const time of allTimes) {
-        html += '<tr>';
-        html += `<td class="time-cell">${time}</td>`;
-
-        for (const day of CONFIG.DAYS) {
-            const cls = state.schedule.find(c => c.day === day && c.time === time);
-
-            if (cls) {
-                const typeClass = cls.isLab ? 'lab' : 'lecture';
-                const colorIndex = getSubjectColorIndex(cls.subject);
-                html += `
-                    <td>
-                        <div class="table-class ${typeClass}" style="border-left-color: var(--subject-${colorIndex})">
-                            <div class="table-subject">${cls.subject}</div>
-                            <div class="table-room">📍 ${cls.room}</div>
-                        </div>
-                    </td>
-                `;
-            } else {
-                html += '<td></td>';
-            }
-        }
-
-        html += '</tr>';
-    }
-
-    elements.weekTableBody.innerHTML = html;
-}
-
-function createScheduleCard(cls, showDay = false, index = 0) {
-    const time = formatTime(cls.time);
-    const typeClass = cls.isLab ? 'is-lab' : '';
-    const badgeType = cls.isLab ? 'lab' : 'lecture';
-    const colorIndex = getSubjectColorIndex(cls.subject);
-    const delay = index * 0.05;
-    
-    // Status badge and subject styling
-    let statusBadge = '';
-    let subjectClass = '';
-    
-    if (cls.status === 'cancelled') {
-        statusBadge = '<span class="badge badge-cancelled">Cancelled</span>';
-        subjectClass = 'subject-cancelled';
-    } else if (cls.status === 'rescheduled') {
-        statusBadge = '<span class="badge badge-rescheduled">Rescheduled</span>';
-    } else if (cls.status === 'makeup') {
-        statusBadge = '<span class="badge badge-makeup">Makeup</span>';
-    }
-    
-    // Teacher info (if available)
-    const teacherInfo = cls.teacher ? `
-        <div class="teacher-info">
-            <span>👤</span>
-            <span>${cls.teacher}</span>
-        </div>
-    ` : '';
-
-    return `
-        <div class="schedule-card ${typeClass} subject-color-${colorIndex}" style="animation-delay: ${delay}s">
-            <div class="card-time">
-                <span class="time-start">${time.start}</span>
-                <span class="time-separator">to</span>
-                <span class="time-end">${time.end}</span>
-            </div>
-            <div class="card-details">
-                <h3 class="subject-name ${subjectClass}">${cls.subject || 'Unknown'}</h3>
-                <div class="room-info">
-                    <span>📍</span>
-                    <span>${cls.room || 'TBA'}</span>
-                </div>
-                ${teacherInfo}
-            </div>
-            <div class="card-badge">
-                <span class="badge badge-${badgeType}">${cls.isLab ? '🔬 Lab' : '📚 Lecture'}</span>
-                ${statusBadge}
-                ${showDay ? `<span class="badge badge-day">${cls.day}</span>` : ''}
-            </div>
-        </div>
-    `;
-}
-
-// ========================================
-// Event Handlers
-// ========================================
-
-function initEventListeners() {
-    elements.navTabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-            elements.navTabs.forEach(t => t.classList.remove('active'));
-            tab.classList.add('active');
-            state.currentView = tab.dataset.view;
-            state.searchQuery = '';
-            state.currentDayFilter = 'all';
-            elements.searchInput.value = '';
-            updateDayFilterButtons();
-            renderCurrentView();
-            updateTodayInfoVisibility();
-        });
-    });
-
-    elements.dayBtns.forEach(btn => {
-        btn.addEventListener('click', () => {
-            elements.dayBtns.forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            state.currentDayFilter = btn.dataset.day;
-            applyFilters();
-            renderCurrentView();
-        });
-    });
-
-    elements.searchInput.addEventListener('input', (e) => {
-        state.searchQuery = e.target.value;
-        applyFilters();
-        renderCurrentView();
-    });
-
-    elements.clearSearch.addEventListener('click', () => {
-        elements.searchInput.value = '';
-        state.searchQuery = '';
-        applyFilters();
-        renderCurrentView();
-    });
-
-    elements.searchInput.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') {
-            elements.searchInput.value = '';
-            state.searchQuery = '';
-            applyFilters();
-            renderCurrentView();
-        }
-    });
-
-    elements.themeToggle.addEventListener('click', toggleTheme);
-
-    elements.refreshBtn.addEventListener('click', () => {
-        elements.refreshBtn.classList.add('spinning');
-        fetchSchedule().finally(() => {
-            setTimeout(() => {
-                elements.refreshBtn.classList.remove('spinning');
-            }, 500);
-        });
-    });
-
-    elements.retryBtn.addEventListener('click', fetchSchedule);
-}
-
-function updateDayFilterButtons() {
-    elements.dayBtns.forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.day === state.currentDayFilter);
-    });
-}
-
-function updateTodayInfoVisibility() {
-    elements.todayInfo.classList.toggle('hidden', state.currentView !== 'today');
-}
-
-// ========================================
-// Theme Management
-// ========================================
-
-function initTheme() {
-    const savedTheme = localStorage.getItem('theme');
-    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-
-    if (savedTheme) {
-        document.documentElement.setAttribute('data-theme', savedTheme);
-    } else if (prefersDark) {
-        document.documentElement.setAttribute('data-theme', 'dark');
-    }
-
-    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-        if (!localStorage.getItem('theme')) {
-            document.documentElement.setAttribute('data-theme', e.matches ? 'dark' : 'light');
-        }
-    });
-}
-
-function toggleTheme() {
-    const currentTheme = document.documentElement.getAttribute('data-theme');
-    const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-
-    document.documentElement.setAttribute('data-theme', newTheme);
-    localStorage.setItem('theme', newTheme);
-}
-
-// ========================================
-// Auto Refresh
-// ========================================
-
-function startAutoRefresh() {
-    setInterval(() => {
-        console.log('🔄 Auto-refreshing schedule...');
-        fetchSchedule();
-    }, CONFIG.REFRESH_INTERVAL);
-}
-
-// ========================================
-// Initialize Application
-// ========================================
-
-async function init() {
-    console.log('🚀 Initializing BS SE Section C Schedule App...');
-    console.log('📊 Using Google Sheets API v4 with color-based filtering');
-
-    initTheme();
-    initEventListeners();
-    updateTodayInfoVisibility();
-
-    await fetchSchedule();
-    startAutoRefresh();
-
-    console.log('✅ App initialized!');
-}
-
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-} else {
-    init();
-}
+/**
+ * BS SE Section Schedule Application
+ * Fetches and displays a section's class schedule from Google Sheets using Google Visualization API
+ * The section, batch color and color tolerance come from the active profile
+ */
+
+// ========================================
+// Configuration
+// ========================================
+const CONFIG = {
+    // Google Sheet ID
+    SHEET_ID: '1ZQJqdArlwCS965uw4sbJrB6j8rEPfZerMT7X8qkXSzY',
+
+    // Schedule proxy (server/proxy.js), e.g. 'http://localhost:8787/api'
+    // The Sheets API key lives only in the proxy's environment, so cell colors (and with them
+    // batch filtering) come through the proxy; without one the app reads the published sheet
+    PROXY_URL: '',
+
+    // Sheet names for each day
+    SHEET_NAMES: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+
+    // Default section profile (2024 batch SE-C cells have background #85200c)
+    // Overridden by the saved profile or by ?section=&color=&tolerance= in the URL
+    DEFAULT_PROFILE: {
+        section: 'SE-C',
+        color: '#85200c',
+        tolerance: 0.05
+    },
+
+    // Semester label shown in the header
+    SEMESTER_LABEL: 'Spring 2026',
+
+    // Assumed length of a class whose slot only gives a start time
+    DEFAULT_CLASS_MINUTES: 80,
+
+    // Default semester bounds, used when the semester calendar gives none; the export panel's
+    // start and end dates override them
+    SEMESTER_START: '2026-01-19',
+    SEMESTER_END: '2026-05-22',
+
+    // Semester calendar with holidays, exam weeks and swapped days. A tab with this name in the
+    // timetable sheet wins over the config file; without either, only the bounds above apply
+    CALENDAR_SHEET_NAME: 'Calendar',
+    CALENDAR_URL: 'semester.json',
+
+    // Timezone the sheet's times are in (Pakistan Standard Time, no DST)
+    TIMEZONE: { id: 'Asia/Karachi', utcOffsetMinutes: 5 * 60 },
+
+    // Auto-refresh interval (5 minutes)
+    REFRESH_INTERVAL: 5 * 60 * 1000,
+
+    // The today view's countdowns tick this often; shorter gaps between classes are not shown as free periods
+    CLOCK_INTERVAL: 60 * 1000,
+    MIN_FREE_PERIOD_MINUTES: 20,
+
+    // Service worker and its background sync tag (must match sw.js)
+    SERVICE_WORKER_URL: 'sw.js',
+    SYNC_TAG: 'refresh-schedule',
+
+    // localStorage keys (cache keys are suffixed with the active profile)
+    CACHE_KEY_PREFIX: 'se_schedule_',
+    CACHE_TIMESTAMP_KEY_PREFIX: 'se_last_updated_',
+    PROFILE_KEY: 'se_profile',
+    SAVED_PROFILES_KEY: 'se_saved_profiles',
+    SEMESTER_KEY: 'se_semester_dates',
+    CALENDAR_KEY: 'se_semester_calendar',
+    CHANGE_HISTORY_KEY_PREFIX: 'se_change_history_',
+    ASSESSMENTS_KEY_PREFIX: 'se_assessments_',
+    ATTENDANCE_KEY_PREFIX: 'se_attendance_',
+    ATTENDANCE_THRESHOLD_KEY: 'se_attendance_threshold',
+    COURSES_KEY_PREFIX: 'se_my_courses_',
+    OCCUPANCY_KEY: 'se_room_occupancy',
+    DATA_SOURCE_KEY: 'se_data_source',
+    REMINDER_SETTINGS_KEY: 'se_reminder_settings',
+    REMINDERS_SENT_KEY: 'se_reminders_sent',
+
+    // Default minutes before a class starts that its reminder fires
+    REMINDER_LEAD_MINUTES: 10,
+
+    // Minimum attendance percentage per course (editable in the Attendance tab)
+    ATTENDANCE_THRESHOLD: 80,
+
+    // Number of refreshes with changes kept in the "What changed" history
+    MAX_CHANGE_HISTORY: 20,
+
+    // Number of recently used profiles offered in the picker
+    MAX_SAVED_PROFILES: 6,
+
+    // Optional tab mapping courses to instructors (columns: Course, Section, Teacher)
+    FACULTY_SHEET_NAME: 'Faculty',
+
+    // Week grid axis when the schedule is empty, minutes after midnight
+    WEEK_GRID_DEFAULT_START: 8 * 60,
+    WEEK_GRID_DEFAULT_END: 17 * 60,
+
+    // Days of the week
+    DAYS: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+};
+
+// ========================================
+// State Management
+// ========================================
+const state = {
+    // Everything the sheet lists for the profile; `schedule` is the personal selection of it
+    sheetSchedule: [],
+    schedule: [],
+    courses: { excluded: [], extras: [] },
+    filteredSchedule: [],
+    currentView: 'today',
+    currentDayFilter: 'all',
+    // Monday of the week the week view shows; null follows the current week
+    weekStart: null,
+    searchQuery: '',
+    // Class card opened from a shared link; narrows the filtered view to that class
+    linkedClassId: null,
+    isLoading: true,
+    error: null,
+    lastUpdated: null,
+    dataSource: 'loading',
+    profile: { ...CONFIG.DEFAULT_PROFILE },
+    calendar: null,
+    // The calendar as fetched, before defaults fill in the bounds it does not give
+    calendarSource: null,
+    // Date the views were last rendered for; the clock re-renders them once the day changes
+    clockDate: null,
+    changeHistory: [],
+    reminderTimers: [],
+    assessments: [],
+    // Attendance marks keyed by session id ("2026-02-04|data structures")
+    attendance: {},
+    attendanceThreshold: CONFIG.ATTENDANCE_THRESHOLD,
+    occupancy: {},
+    clashes: new Map(),
+    sourceType: 'published',
+    uploadedSheets: null,
+    // Outcome of the last fetch: per-day status and the cells the parser rejected
+    diagnostics: null
+};
+
+// ========================================
+// DOM Elements
+// ========================================
+const elements = {
+    loadingState: document.getElementById('loadingState'),
+    errorState: document.getElementById('errorState'),
+    errorMessage: document.getElementById('errorMessage'),
+    scheduleContent: document.getElementById('scheduleContent'),
+    viewToday: document.getElementById('viewToday'),
+    viewWeek: document.getElementById('viewWeek'),
+    viewFiltered: document.getElementById('viewFiltered'),
+    todayCards: document.getElementById('todayCards'),
+    filteredCards: document.getElementById('filteredCards'),
+    weekGrid: document.getElementById('weekGrid'),
+    navTabs: document.querySelectorAll('.nav-tab'),
+    dayFilters: document.getElementById('dayFilters'),
+    dayBtns: document.querySelectorAll('.day-btn'),
+    searchInput: document.getElementById('searchInput'),
+    clearSearch: document.getElementById('clearSearch'),
+    lastUpdated: document.getElementById('lastUpdated'),
+    themeToggle: document.getElementById('themeToggle'),
+    contrastToggle: document.getElementById('contrastToggle'),
+    refreshBtn: document.getElementById('refreshBtn'),
+    retryBtn: document.getElementById('retryBtn'),
+    todayInfo: document.getElementById('todayInfo'),
+    currentDayName: document.getElementById('currentDayName'),
+    currentFullDate: document.getElementById('currentFullDate'),
+    nextClassInfo: document.getElementById('nextClassInfo'),
+    noClassesToday: document.getElementById('noClassesToday'),
+    noClassesTitle: document.getElementById('noClassesTitle'),
+    noClassesText: document.getElementById('noClassesText'),
+    dayNote: document.getElementById('dayNote'),
+    prevWeek: document.getElementById('prevWeek'),
+    nextWeek: document.getElementById('nextWeek'),
+    thisWeek: document.getElementById('thisWeek'),
+    weekLabel: document.getElementById('weekLabel'),
+    weekRange: document.getElementById('weekRange'),
+    noResults: document.getElementById('noResults'),
+    linkedClassBar: document.getElementById('linkedClassBar'),
+    showAllClasses: document.getElementById('showAllClasses'),
+    viewTeachers: document.getElementById('viewTeachers'),
+    viewDeadlines: document.getElementById('viewDeadlines'),
+    viewAttendance: document.getElementById('viewAttendance'),
+    attendanceThreshold: document.getElementById('attendanceThreshold'),
+    exportAttendance: document.getElementById('exportAttendance'),
+    attendanceStatus: document.getElementById('attendanceStatus'),
+    attendanceSummary: document.getElementById('attendanceSummary'),
+    unmarkedSessions: document.getElementById('unmarkedSessions'),
+    noUnmarkedSessions: document.getElementById('noUnmarkedSessions'),
+    markedSessions: document.getElementById('markedSessions'),
+    markedSessionCount: document.getElementById('markedSessionCount'),
+    markedSessionList: document.getElementById('markedSessionList'),
+    viewRooms: document.getElementById('viewRooms'),
+    freeRoomDay: document.getElementById('freeRoomDay'),
+    freeRoomSlot: document.getElementById('freeRoomSlot'),
+    freeRoomSummary: document.getElementById('freeRoomSummary'),
+    freeRoomList: document.getElementById('freeRoomList'),
+    noFreeRooms: document.getElementById('noFreeRooms'),
+    assessmentForm: document.getElementById('assessmentForm'),
+    assessmentSubject: document.getElementById('assessmentSubject'),
+    assessmentType: document.getElementById('assessmentType'),
+    assessmentTitle: document.getElementById('assessmentTitle'),
+    assessmentDue: document.getElementById('assessmentDue'),
+    assessmentTime: document.getElementById('assessmentTime'),
+    exportAssessments: document.getElementById('exportAssessments'),
+    importAssessments: document.getElementById('importAssessments'),
+    assessmentStatus: document.getElementById('assessmentStatus'),
+    deadlineList: document.getElementById('deadlineList'),
+    pastDeadlines: document.getElementById('pastDeadlines'),
+    pastDeadlineList: document.getElementById('pastDeadlineList'),
+    noDeadlines: document.getElementById('noDeadlines'),
+    teacherGroups: document.getElementById('teacherGroups'),
+    brandTitle: document.getElementById('brandTitle'),
+    brandSubtitle: document.getElementById('brandSubtitle'),
+    footerNote: document.getElementById('footerNote'),
+    profileBtn: document.getElementById('profileBtn'),
+    profilePanel: document.getElementById('profilePanel'),
+    profileForm: document.getElementById('profileForm'),
+    profileSection: document.getElementById('profileSection'),
+    profileColor: document.getElementById('profileColor'),
+    profileTolerance: document.getElementById('profileTolerance'),
+    profileReset: document.getElementById('profileReset'),
+    profileCopyLink: document.getElementById('profileCopyLink'),
+    savedProfiles: document.getElementById('savedProfiles'),
+    exportBtn: document.getElementById('exportBtn'),
+    exportPanel: document.getElementById('exportPanel'),
+    exportForm: document.getElementById('exportForm'),
+    semesterStart: document.getElementById('semesterStart'),
+    semesterEnd: document.getElementById('semesterEnd'),
+    exportRange: document.getElementById('exportRange'),
+    exportStatus: document.getElementById('exportStatus'),
+    printTimetable: document.getElementById('printTimetable'),
+    downloadImage: document.getElementById('downloadImage'),
+    printTitle: document.getElementById('printTitle'),
+    printMeta: document.getElementById('printMeta'),
+    subjectLegend: document.getElementById('subjectLegend'),
+    changesBtn: document.getElementById('changesBtn'),
+    changesBadge: document.getElementById('changesBadge'),
+    changesPanel: document.getElementById('changesPanel'),
+    changesList: document.getElementById('changesList'),
+    clearChanges: document.getElementById('clearChanges'),
+    remindersBtn: document.getElementById('remindersBtn'),
+    remindersPanel: document.getElementById('remindersPanel'),
+    remindersForm: document.getElementById('remindersForm'),
+    remindersEnabled: document.getElementById('remindersEnabled'),
+    reminderLead: document.getElementById('reminderLead'),
+    remindersStatus: document.getElementById('remindersStatus'),
+    coursesBtn: document.getElementById('coursesBtn'),
+    coursesPanel: document.getElementById('coursesPanel'),
+    courseList: document.getElementById('courseList'),
+    extraCourseList: document.getElementById('extraCourseList'),
+    extraCourseForm: document.getElementById('extraCourseForm'),
+    extraCourseDay: document.getElementById('extraCourseDay'),
+    extraCourseTime: document.getElementById('extraCourseTime'),
+    extraCourseRoom: document.getElementById('extraCourseRoom'),
+    extraCourseText: document.getElementById('extraCourseText'),
+    coursesReset: document.getElementById('coursesReset'),
+    coursesStatus: document.getElementById('coursesStatus'),
+    sourceBtn: document.getElementById('sourceBtn'),
+    sourcePanel: document.getElementById('sourcePanel'),
+    sourceForm: document.getElementById('sourceForm'),
+    sourceType: document.getElementById('sourceType'),
+    sourceFile: document.getElementById('sourceFile'),
+    sourceStatus: document.getElementById('sourceStatus'),
+    diagnosticsBtn: document.getElementById('diagnosticsBtn'),
+    diagnosticsBadge: document.getElementById('diagnosticsBadge'),
+    sourceWarning: document.getElementById('sourceWarning'),
+    diagnosticsPanel: document.getElementById('diagnosticsPanel'),
+    diagnosticsSummary: document.getElementById('diagnosticsSummary'),
+    diagnosticsDays: document.getElementById('diagnosticsDays'),
+    diagnosticsMisses: document.getElementById('diagnosticsMisses')
+};
+
+// ========================================
+// Utility Functions
+// ========================================
+
+// Sheet parsing lives in core/parser.js so the Node proxy parses exactly the same way
+const {
+    parseTime,
+    isLabRoom,
+    isLabTimeSlot,
+    parseSubjectAndStatus,
+    findFreeRooms
+} = TimetableParser;
+
+// Markup built from sheet content goes through html`` (core/html.js), which escapes every value
+const { html } = HtmlTemplate;
+
+/**
+ * What today is on the semester calendar: a normal day, a swapped day, a holiday, ...
+ */
+function getTodayInfo() {
+    return SemesterCalendar.getDayInfo(state.calendar, toDateInputValue(new Date()));
+}
+
+/**
+ * Day tab whose classes run today: usually today's weekday, the followed day on a swapped date,
+ * and null on holidays, in exam weeks and outside the semester
+ */
+function getCurrentDay() {
+    return getTodayInfo().scheduleDay;
+}
+
+function formatDate(date) {
+    return date.toLocaleDateString('en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+// "YYYY-MM-DD" as e.g. "Thu, Mar 26"
+function formatShortDate(date) {
+    return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+// "YYYY-MM-DD" as e.g. "Mar 26"
+function formatMonthDay(date) {
+    return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+function getClassRange(cls) {
+    return parseTime(cls.time);
+}
+
+function compareClassTimes(a, b) {
+    return ScheduleTime.compareRanges(getClassRange(a), getClassRange(b));
+}
+
+/**
+ * Display strings for a slot's start and end, e.g. { start: '2:30 PM', end: '3:50 PM' }
+ * Unparseable slots are shown as written
+ */
+function formatTime(timeStr) {
+    const range = parseTime(timeStr);
+    if (!range) return { start: timeStr || '', end: '' };
+    return {
+        start: ScheduleTime.formatClock(range.start),
+        end: ScheduleTime.formatClock(range.end)
+    };
+}
+
+function formatTimeRange(timeStr) {
+    const time = formatTime(timeStr);
+    return time.end ? `${time.start} – ${time.end}` : time.start;
+}
+
+function getSubjectColorIndex(subject) {
+    if (!subject) return 1;
+    let hash = 0;
+    for (let i = 0; i < subject.length; i++) {
+        hash = subject.charCodeAt(i) + ((hash << 5) - hash);
+    }
+    return (Math.abs(hash) % 8) + 1;
+}
+
+/**
+ * Resolve a class's slot into start/end minutes after midnight
+ * Slots that only give a start time are assumed to last CONFIG.DEFAULT_CLASS_MINUTES
+ */
+function getClassMinutes(cls) {
+    return ScheduleCore.getClassMinutes(cls, CONFIG.DEFAULT_CLASS_MINUTES);
+}
+
+function getCurrentMinutes() {
+    const now = new Date();
+    return now.getHours() * 60 + now.getMinutes();
+}
+
+/**
+ * Next class from now on the semester calendar, looking past today once it is over
+ * @returns {{cls: Object, daysAhead: number, date: string}|null}
+ */
+function getNextClass() {
+    const date = toDateInputValue(new Date());
+    const now = { day: SemesterCalendar.getWeekday(date), minutes: getCurrentMinutes(), date };
+    return ScheduleCore.getNextClass(state.schedule, now, state.calendar);
+}
+
+/**
+ * Class in session at `minutes`, ignoring cancelled ones
+ */
+function getCurrentClass(classes, minutes) {
+    return classes.find(cls => {
+        if (!ScheduleCore.isHeldInSlot(cls)) return false;
+        const { startMinutes, endMinutes } = getClassMinutes(cls);
+        return startMinutes !== null && startMinutes <= minutes && minutes < endMinutes;
+    }) || null;
+}
+
+/**
+ * Find classes whose time ranges overlap on the same day
+ * Compares parsed ranges rather than time strings, so an embedded "09:30-11:15" still
+ * clashes with a "10:00-11:20" header slot. Cancelled and moved classes free their slot and never clash
+ * @param {Array<Object>} schedule
+ * @returns {Map<Object, Array<Object>>} Each clashing class mapped to the classes it overlaps
+ */
+function detectClashes(schedule) {
+    const clashes = new Map();
+    const byDay = new Map();
+
+    for (const cls of schedule) {
+        if (!ScheduleCore.isHeldInSlot(cls)) continue;
+        const { startMinutes, endMinutes } = getClassMinutes(cls);
+        if (startMinutes === null) continue;
+        if (!byDay.has(cls.day)) byDay.set(cls.day, []);
+        byDay.get(cls.day).push({ cls, range: { start: startMinutes, end: endMinutes } });
+    }
+
+    const addClash = (cls, other) => {
+        if (!clashes.has(cls)) clashes.set(cls, []);
+        clashes.get(cls).push(other);
+    };
+
+    for (const entries of byDay.values()) {
+        for (let i = 0; i < entries.length; i++) {
+            for (let j = i + 1; j < entries.length; j++) {
+                if (ScheduleTime.rangesOverlap(entries[i].range, entries[j].range)) {
+                    addClash(entries[i].cls, entries[j].cls);
+                    addClash(entries[j].cls, entries[i].cls);
+                }
+            }
+        }
+    }
+
+    return clashes;
+}
+
+function describeClash(cls) {
+    const others = state.clashes.get(cls);
+    if (!others) return '';
+    return `Overlaps with ${others.map(other => `${other.subject} (${formatTimeRange(other.time)})`).join(', ')}`;
+}
+
+// ========================================
+// Data Fetching
+// ========================================
+
+/**
+ * Fetch one tab through the published CSV endpoint, the default source when no proxy is configured
+ * Needs no API key but carries no cell colors
+ */
+function fetchPublishedSheetData(sheetName) {
+    return SheetSources.fetchPublishedCsvGrid(sheetName, { sheetId: CONFIG.SHEET_ID });
+}
+
+/**
+ * Read one tab of the timetable file the user loaded (JSON recording or .xlsx export)
+ */
+async function readUploadedSheetData(sheetName) {
+    if (!state.uploadedSheets) {
+        throw new Error('No timetable file loaded');
+    }
+    const gridData = state.uploadedSheets[sheetName];
+    if (!gridData) {
+        throw new Error(`File has no "${sheetName}" sheet`);
+    }
+    return gridData;
+}
+
+/**
+ * Read a profile's parsed schedule and room occupancy from the schedule proxy
+ * @returns {Promise<{schedule: Array<Object>, occupancy: Object, days: Object, successCount: number}>}
+ */
+async function fetchProxySchedule(profile) {
+    const params = new URLSearchParams({
+        section: profile.section,
+        color: profile.color,
+        tolerance: String(profile.tolerance)
+    });
+    const response = await fetch(`${CONFIG.PROXY_URL.replace(/\/$/, '')}/schedule?${params}`);
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+    }
+
+    for (const [day, result] of Object.entries(data.days || {})) {
+        if (!result.ok) console.warn(`⚠️ Proxy failed to fetch ${day}:`, result.error);
+    }
+
+    return {
+        schedule: data.schedule || [],
+        occupancy: data.occupancy || {},
+        days: data.days || {},
+        successCount: Object.values(data.days || {}).filter(result => result.ok).length
+    };
+}
+
+/**
+ * Data source adapters; each returns one tab as Sheets API grid data,
+ * so the same parser produces the same schedule entries from all of them.
+ * The proxy parses on the server and hands back whole schedules instead
+ */
+const DATA_SOURCES = {
+    // Only the proxy holds the Sheets API key, so the page never calls the API itself
+    ...(CONFIG.PROXY_URL ? { proxy: { label: 'Schedule proxy', fetchSchedule: fetchProxySchedule } } : {}),
+    published: { label: 'Published sheet (CSV)', fetchSheet: fetchPublishedSheetData },
+    file: { label: 'Timetable file (JSON or XLSX)', fetchSheet: readUploadedSheetData }
+};
+
+const DEFAULT_SOURCE_TYPE = CONFIG.PROXY_URL ? 'proxy' : 'published';
+
+function getDataSource() {
+    return DATA_SOURCES[state.sourceType] || DATA_SOURCES[DEFAULT_SOURCE_TYPE];
+}
+
+function fetchSheetData(sheetName) {
+    return getDataSource().fetchSheet(sheetName);
+}
+
+/**
+ * Fetch and parse every day tab (and the faculty tab) in parallel through the active adapter
+ * @returns {Promise<{schedule: Array<Object>, occupancy: Object, days: Object, successCount: number}>}
+ */
+async function fetchScheduleFromSheets(profile) {
+    const { schedule, occupancy, faculty, days } = await ScheduleCore.loadSchedule({
+        fetchSheet: fetchSheetData,
+        profile,
+        days: CONFIG.SHEET_NAMES,
+        facultySheet: CONFIG.FACULTY_SHEET_NAME
+    });
+
+    for (const [day, result] of Object.entries(days)) {
+        if (result.ok) {
+            console.log(`✅ ${day}: Found ${result.classes} ${profile.section} classes`);
+        } else {
+            console.warn(`⚠️ Failed to fetch ${day}:`, result.error);
+        }
+    }
+    if (faculty > 0) {
+        console.log(`👤 Faculty tab: ${faculty} course mappings`);
+    }
+
+    return { schedule, occupancy, days, successCount: Object.values(days).filter(result => result.ok).length };
+}
+
+/**
+ * Main fetch function - fetches all days
+ */
+async function fetchSchedule() {
+    try {
+        // Keep showing the current schedule while refreshing in the background
+        state.isLoading = state.sheetSchedule.length === 0;
+        state.error = null;
+        updateUI();
+
+        const profile = state.profile;
+        const source = getDataSource();
+
+        console.log(`🔄 Fetching schedule from ${source.label}...`);
+
+        let sourceError = null;
+        const { schedule, occupancy, days, successCount } = await (source.fetchSchedule || fetchScheduleFromSheets)(profile)
+            .catch(error => {
+                console.warn(`⚠️ ${source.label} failed:`, error.message);
+                sourceError = error.message;
+                return { schedule: [], occupancy: {}, days: {}, successCount: 0 };
+            });
+
+        if (profile === state.profile) {
+            setDiagnostics({ source: source.label, checkedAt: new Date(), error: sourceError, days });
+        }
+
+        // Room occupancy covers every section, so keep it even when the profile changed
+        if (successCount > 0) {
+            state.occupancy = { ...state.occupancy, ...occupancy };
+            cacheOccupancy(state.occupancy);
+        }
+
+        // Discard results if the profile was switched while this fetch was in flight
+        if (profile !== state.profile) return;
+
+        if (successCount > 0 && schedule.length > 0) {
+            // Days whose tab failed keep their cached classes, for the change log and the cache alike
+            const previous = loadCachedSchedule(profile);
+            const merged = previous ? ScheduleCore.mergeFailedDays(schedule, previous.schedule, days) : schedule;
+
+            setSheetSchedule(merged);
+            recordSheetCancellations();
+            state.dataSource = 'live';
+            state.lastUpdated = new Date();
+
+            // Compare personal selections so dropped courses never show up as changes
+            if (previous) {
+                recordScheduleChanges(applyCourseSelection(previous.schedule), state.schedule, profile);
+            }
+            cacheSchedule(merged, profile);
+            console.log(`✅ Loaded ${schedule.length} total classes from ${successCount} days`);
+        } else {
+            // Try loading from cache
+            const cached = loadCachedSchedule(profile);
+            if (cached && cached.schedule.length > 0) {
+                setSheetSchedule(cached.schedule);
+                state.dataSource = 'cached';
+                state.lastUpdated = new Date(cached.timestamp);
+                console.log('📦 Loaded from cache');
+            } else {
+                state.error = 'Unable to fetch schedule. Please ensure the Google Sheet is shared as "Anyone with the link can view".';
+            }
+
+            if (!navigator.onLine) {
+                requestBackgroundSync();
+            }
+        }
+
+        state.isLoading = false;
+        updateUI();
+
+    } catch (error) {
+        console.error('❌ Error fetching schedule:', error);
+        state.error = 'Unable to load schedule. Please check your internet connection.';
+        state.isLoading = false;
+        updateUI();
+    }
+}
+
+/**
+ * Cache keys are per profile so switching sections never shows another group's data
+ */
+function getCacheKeys(profile) {
+    const suffix = `${profile.section}_${profile.color.replace('#', '')}`.toLowerCase();
+    return {
+        schedule: CONFIG.CACHE_KEY_PREFIX + suffix,
+        timestamp: CONFIG.CACHE_TIMESTAMP_KEY_PREFIX + suffix,
+        changeHistory: CONFIG.CHANGE_HISTORY_KEY_PREFIX + suffix,
+        assessments: CONFIG.ASSESSMENTS_KEY_PREFIX + suffix,
+        attendance: CONFIG.ATTENDANCE_KEY_PREFIX + suffix,
+        courses: CONFIG.COURSES_KEY_PREFIX + suffix
+    };
+}
+
+function cacheSchedule(schedule, profile) {
+    try {
+        const keys = getCacheKeys(profile);
+        localStorage.setItem(keys.schedule, JSON.stringify(schedule));
+        localStorage.setItem(keys.timestamp, new Date().toISOString());
+    } catch (error) {
+        console.warn('Failed to cache schedule:', error);
+    }
+}
+
+/**
+ * Show the last parsed schedule right away so the app is usable before (or without) the network
+ * @returns {boolean} Whether a cached schedule was shown
+ */
+function showCachedSchedule() {
+    const cached = loadCachedSchedule(state.profile);
+    if (!cached || cached.schedule.length === 0) return false;
+
+    setSheetSchedule(cached.schedule);
+    state.dataSource = 'cached';
+    state.lastUpdated = new Date(cached.timestamp);
+    state.isLoading = false;
+    updateUI();
+    return true;
+}
+
+function cacheOccupancy(occupancy) {
+    try {
+        localStorage.setItem(CONFIG.OCCUPANCY_KEY, JSON.stringify(occupancy));
+    } catch (error) {
+        console.warn('Failed to cache room occupancy:', error);
+    }
+}
+
+function loadCachedOccupancy() {
+    try {
+        return JSON.parse(localStorage.getItem(CONFIG.OCCUPANCY_KEY) || '{}') || {};
+    } catch (error) {
+        console.warn('Failed to load cached room occupancy:', error);
+        return {};
+    }
+}
+
+function loadCachedSchedule(profile) {
+    try {
+        const keys = getCacheKeys(profile);
+        const schedule = localStorage.getItem(keys.schedule);
+        const timestamp = localStorage.getItem(keys.timestamp);
+
+        if (schedule && timestamp) {
+            return {
+                schedule: JSON.parse(schedule),
+                timestamp
+            };
+        }
+    } catch (error) {
+        console.warn('Failed to load cached schedule:', error);
+    }
+    return null;
+}
+
+// ========================================
+// Semester Calendar
+// ========================================
+
+function loadSemesterDates() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.SEMESTER_KEY) || 'null');
+        return saved && saved.start && saved.end ? saved : null;
+    } catch (error) {
+        console.warn('Failed to load semester dates:', error);
+        return null;
+    }
+}
+
+function saveSemesterDates(dates) {
+    try {
+        localStorage.setItem(CONFIG.SEMESTER_KEY, JSON.stringify(dates));
+    } catch (error) {
+        console.warn('Failed to save semester dates:', error);
+    }
+}
+
+function getCalendarDefaults() {
+    const saved = loadSemesterDates();
+    return {
+        label: CONFIG.SEMESTER_LABEL,
+        start: saved ? saved.start : CONFIG.SEMESTER_START,
+        end: saved ? saved.end : CONFIG.SEMESTER_END
+    };
+}
+
+// Whether the calendar sets the semester bounds itself, leaving the export panel's dates unused
+function calendarSetsBounds() {
+    const source = state.calendarSource;
+    return Boolean(SemesterCalendar.parseDate(source?.start) && SemesterCalendar.parseDate(source?.end));
+}
+
+function applyCalendar(source) {
+    state.calendarSource = source;
+    state.calendar = SemesterCalendar.normalizeCalendar(source, getCalendarDefaults());
+}
+
+/**
+ * The calendar as last fetched, or null when there is none yet
+ */
+function loadCachedCalendar() {
+    try {
+        return JSON.parse(localStorage.getItem(CONFIG.CALENDAR_KEY) || 'null');
+    } catch (error) {
+        console.warn('Failed to load semester calendar:', error);
+        return null;
+    }
+}
+
+function cacheCalendar(calendar) {
+    try {
+        localStorage.setItem(CONFIG.CALENDAR_KEY, JSON.stringify(calendar));
+    } catch (error) {
+        console.warn('Failed to cache semester calendar:', error);
+    }
+}
+
+/**
+ * The sheet's calendar tab when the data source reads tabs and has one, else the config file
+ * @returns {Promise<Object>} Calendar in the shape SemesterCalendar.normalizeCalendar takes
+ */
+async function fetchCalendar() {
+    if (getDataSource().fetchSheet) {
+        try {
+            const calendar = SemesterCalendar.parseCalendarSheet(await fetchSheetData(CONFIG.CALENDAR_SHEET_NAME));
+            if (calendar) return calendar;
+        } catch (error) {
+            console.log(`📅 No ${CONFIG.CALENDAR_SHEET_NAME} tab (${error.message}), using ${CONFIG.CALENDAR_URL}`);
+        }
+    }
+
+    const response = await fetch(CONFIG.CALENDAR_URL);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
+}
+
+/**
+ * Refresh the calendar in the background; the cached one keeps working offline
+ */
+async function refreshCalendar() {
+    try {
+        const calendar = await fetchCalendar();
+        applyCalendar(calendar);
+        cacheCalendar(calendar);
+        const { holidays, exams, swaps } = state.calendar;
+        console.log(`📅 Calendar: ${holidays.length} holidays, ${exams.length} exam periods, ${swaps.length} swapped days`);
+        updateUI();
+    } catch (error) {
+        console.warn('Failed to load semester calendar:', error.message);
+    }
+}
+
+// ========================================
+// UI Rendering
+// ========================================
+
+function updateUI() {
+    elements.loadingState.classList.toggle('hidden', !state.isLoading);
+    elements.errorState.classList.toggle('hidden', !state.error || state.isLoading);
+    elements.scheduleContent.classList.toggle('hidden', state.isLoading || state.error);
+
+    if (state.error) {
+        elements.errorMessage.textContent = state.error;
+        return;
+    }
+
+    if (!state.isLoading) {
+        state.clashes = detectClashes(state.schedule);
+        updateLastUpdated();
+        updateTodayInfo();
+        applyFilters();
+        renderCurrentView();
+        scheduleReminders();
+    }
+}
+
+function updateLastUpdated() {
+    if (state.lastUpdated) {
+        const timeStr = state.lastUpdated.toLocaleTimeString('en-US', {
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        const sourceLabel = state.dataSource === 'live' ? '' : ` (${state.dataSource})`;
+        elements.lastUpdated.querySelector('.update-text').textContent = `Updated ${timeStr}${sourceLabel}`;
+    }
+}
+
+/**
+ * Why a date's timetable differs from its weekday's, e.g. "Follows Monday's schedule"
+ * @returns {string} Empty for a normal teaching day
+ */
+function describeDayNote(info) {
+    switch (info.kind) {
+        case 'swap': return [`Follows ${info.scheduleDay}'s schedule`, info.name].filter(Boolean).join(' • ');
+        case 'holiday': return info.name || 'Holiday';
+        case 'exam': return info.name || 'Exam week';
+        case 'before': return `Semester starts ${formatShortDate(state.calendar.start)}`;
+        case 'after': return `Semester ended ${formatShortDate(state.calendar.end)}`;
+        default: return '';
+    }
+}
+
+function describeNextClassDay(next) {
+    return next.daysAhead === 1 ? 'Tomorrow' : formatShortDate(next.date);
+}
+
+function updateTodayInfo() {
+    const today = new Date();
+    const info = getTodayInfo();
+    const week = SemesterCalendar.getSemesterWeek(state.calendar, info.date);
+    const note = describeDayNote(info);
+    state.clockDate = info.date;
+
+    elements.currentDayName.textContent = info.weekday;
+    elements.currentFullDate.textContent = week ? `${formatDate(today)} • Week ${week}` : formatDate(today);
+    elements.dayNote.textContent = note;
+    elements.dayNote.classList.toggle('hidden', !note);
+
+    const todayClasses = state.schedule.filter(cls => cls.day === info.scheduleDay);
+    const now = getCurrentMinutes();
+    const current = getCurrentClass(todayClasses, now);
+    const next = getNextClass();
+
+    const nextLabel = elements.nextClassInfo.querySelector('.next-label');
+    const nextSubject = elements.nextClassInfo.querySelector('.next-subject');
+    const nextTime = elements.nextClassInfo.querySelector('.next-time');
+    const nextProgress = elements.nextClassInfo.querySelector('.progress-bar');
+
+    nextLabel.textContent = current ? 'Now in Session' : 'Next Class';
+    nextProgress.classList.toggle('hidden', !current);
+
+    if (current) {
+        const { startMinutes, endMinutes } = getClassMinutes(current);
+        nextSubject.textContent = current.subject;
+        nextTime.textContent = `${ScheduleTime.formatDuration(endMinutes - now)} left • ${current.room || 'TBA'}`;
+        setProgress(nextProgress, startMinutes, endMinutes, now);
+    } else if (next && next.daysAhead === 0) {
+        const startMinutes = getClassMinutes(next.cls).startMinutes;
+        nextSubject.textContent = next.cls.subject;
+        nextTime.textContent = `In ${ScheduleTime.formatDuration(startMinutes - now)} • ${formatTime(next.cls.time).start} • ${next.cls.room}`;
+    } else if (todayClasses.length > 0) {
+        nextSubject.textContent = 'All done!';
+        nextTime.textContent = 'No more classes today';
+    } else if (next) {
+        nextSubject.textContent = next.cls.subject;
+        nextTime.textContent = `${describeNextClassDay(next)}, ${formatTime(next.cls.time).start} • ${next.cls.room}`;
+    } else {
+        nextSubject.textContent = 'No Classes';
+        nextTime.textContent = info.weekday === 'Saturday' || info.weekday === 'Sunday' ? 'Weekend! 🎉' : 'Day off';
+    }
+}
+
+function applyFilters() {
+    let filtered = [...state.schedule];
+
+    if (state.linkedClassId) {
+        filtered = filtered.filter(cls => getClassLinkId(cls) === state.linkedClassId);
+    }
+
+    if (state.currentDayFilter !== 'all') {
+        filtered = filtered.filter(cls => cls.day === state.currentDayFilter);
+    }
+
+    if (state.searchQuery) {
+        const query = state.searchQuery.toLowerCase();
+        filtered = filtered.filter(cls =>
+            (cls.subject && cls.subject.toLowerCase().includes(query)) ||
+            (cls.room && cls.room.toLowerCase().includes(query)) ||
+            (cls.teacher && cls.teacher.toLowerCase().includes(query))
+        );
+    }
+
+    const dayOrder = CONFIG.DAYS;
+    filtered.sort((a, b) => {
+        const dayDiff = dayOrder.indexOf(a.day) - dayOrder.indexOf(b.day);
+        if (dayDiff !== 0) return dayDiff;
+        return compareClassTimes(a, b);
+    });
+
+    state.filteredSchedule = filtered;
+}
+
+function renderCurrentView() {
+    elements.viewToday.classList.add('hidden');
+    elements.viewWeek.classList.add('hidden');
+    elements.viewTeachers.classList.add('hidden');
+    elements.viewDeadlines.classList.add('hidden');
+    elements.viewAttendance.classList.add('hidden');
+    elements.viewRooms.classList.add('hidden');
+    elements.viewFiltered.classList.add('hidden');
+
+    if (state.linkedClassId || state.searchQuery || state.currentDayFilter !== 'all') {
+        elements.viewFiltered.classList.remove('hidden');
+        renderFilteredView();
+    } else if (state.currentView === 'today') {
+        elements.viewToday.classList.remove('hidden');
+        renderTodayView();
+    } else if (state.currentView === 'teachers') {
+        elements.viewTeachers.classList.remove('hidden');
+        renderTeacherView();
+    } else if (state.currentView === 'deadlines') {
+        elements.viewDeadlines.classList.remove('hidden');
+        renderDeadlinesView();
+    } else if (state.currentView === 'attendance') {
+        elements.viewAttendance.classList.remove('hidden');
+        renderAttendanceView();
+    } else if (state.currentView === 'rooms') {
+        elements.viewRooms.classList.remove('hidden');
+        renderFreeRoomsView();
+    } else {
+        elements.viewWeek.classList.remove('hidden');
+        renderWeekView();
+    }
+}
+
+/**
+ * Heading and text for a day without classes, by the calendar's reason
+ */
+function describeNoClasses(info) {
+    switch (info.kind) {
+        case 'holiday': return { title: 'Holiday!', text: `${info.name || 'The university is closed'}. No classes today.` };
+        case 'exam': return { title: 'Exam Week', text: `${info.name || 'Exams'}: regular classes are paused.` };
+        case 'before': return { title: 'Semester Not Started', text: `Classes start ${formatShortDate(state.calendar.start)}.` };
+        case 'after': return { title: 'Semester Over', text: `The semester ended ${formatShortDate(state.calendar.end)}.` };
+        default: return { title: 'No Classes Today!', text: 'Enjoy your day off or check other days.' };
+    }
+}
+
+function renderTodayView() {
+    const info = getTodayInfo();
+    const todayClasses = state.schedule
+        .filter(cls => cls.day === info.scheduleDay)
+        .sort(compareClassTimes);
+
+    if (todayClasses.length === 0) {
+        const { title, text } = describeNoClasses(info);
+        elements.noClassesTitle.textContent = title;
+        elements.noClassesText.textContent = text;
+        elements.todayCards.innerHTML = '';
+        elements.noClassesToday.classList.remove('hidden');
+        return;
+    }
+
+    // Free periods go in front of the first class that starts once they have begun
+    const periods = ScheduleCore.getFreePeriods(todayClasses, {
+        defaultMinutes: CONFIG.DEFAULT_CLASS_MINUTES,
+        minMinutes: CONFIG.MIN_FREE_PERIOD_MINUTES
+    });
+    const items = [];
+    todayClasses.forEach((cls, idx) => {
+        const start = getClassMinutes(cls).startMinutes;
+        while (periods.length > 0 && start !== null && periods[0].start <= start) {
+            items.push(createFreePeriodItem(periods.shift()));
+        }
+        items.push(createScheduleCard(cls, false, idx, true));
+    });
+
+    elements.noClassesToday.classList.add('hidden');
+    elements.todayCards.innerHTML = html`${items}`;
+    updateLiveStatus();
+}
+
+function createFreePeriodItem(period) {
+    const range = `${ScheduleTime.formatClock(period.start)} – ${ScheduleTime.formatClock(period.end)}`;
+    return html`
+        <div class="free-period" data-start="${period.start}" data-end="${period.end}">
+            <span class="free-period-icon">☕</span>
+            <div class="free-period-details">
+                <span class="free-period-title">Free period</span>
+                <span class="free-period-time">${range} • ${ScheduleTime.formatDuration(period.end - period.start)}</span>
+                <div class="card-live"></div>
+            </div>
+        </div>
+    `;
+}
+
+function renderFilteredView() {
+    elements.linkedClassBar.classList.toggle('hidden', !state.linkedClassId);
+
+    if (state.filteredSchedule.length === 0) {
+        elements.filteredCards.innerHTML = '';
+        elements.noResults.classList.remove('hidden');
+        return;
+    }
+
+    elements.noResults.classList.add('hidden');
+    elements.filteredCards.innerHTML = html`${state.filteredSchedule.map((cls, idx) => createScheduleCard(cls, true, idx))}`;
+}
+
+/**
+ * Group classes per instructor; classes without a known teacher go last
+ */
+function renderTeacherView() {
+    const groups = new Map();
+    const dayOrder = CONFIG.DAYS;
+
+    for (const cls of state.schedule) {
+        const teacher = cls.teacher || '';
+        if (!groups.has(teacher)) groups.set(teacher, []);
+        groups.get(teacher).push(cls);
+    }
+
+    const teachers = [...groups.keys()].sort((a, b) => {
+        if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+        return a.localeCompare(b);
+    });
+
+    elements.teacherGroups.innerHTML = html`${teachers.map(teacher => {
+        const classes = groups.get(teacher).sort((a, b) =>
+            dayOrder.indexOf(a.day) - dayOrder.indexOf(b.day) || compareClassTimes(a, b)
+        );
+        const subjects = [...new Set(classes.map(cls => cls.subject))].join(', ');
+
+        return html`
+            <section class="teacher-group">
+                <div class="teacher-header">
+                    <h2 class="teacher-name">👤 ${teacher || 'Teacher not listed'}</h2>
+                    <span class="teacher-summary">${classes.length} ${classes.length === 1 ? 'class' : 'classes'} • ${subjects}</span>
+                </div>
+                <div class="schedule-cards">
+                    ${classes.map((cls, idx) => createScheduleCard(cls, true, idx))}
+                </div>
+            </section>
+        `;
+    })}`;
+}
+
+function setSelectOptions(select, options, preferred) {
+    const previous = select.value;
+    select.replaceChildren(...options.map(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }));
+
+    const values = options.map(option => option.value);
+    select.value = values.includes(previous) ? previous : (values.includes(preferred) ? preferred : values[0] || '');
+}
+
+/**
+ * Slot to preselect: the one in progress (or next) when looking at today, else the first
+ */
+function getDefaultSlot(slots, day) {
+    if (day !== getCurrentDay()) return slots[0];
+    const now = getCurrentMinutes();
+    return slots.find(slot => (parseTime(slot)?.end ?? 0) > now) || slots[0];
+}
+
+function createFreeRoomItem(room) {
+    const item = document.createElement('li');
+    item.className = 'free-room';
+    item.classList.toggle('is-lab', room.isLab);
+
+    const name = document.createElement('span');
+    name.className = 'free-room-name';
+    name.textContent = room.name;
+    item.append(name);
+
+    if (room.isLab) {
+        const badge = document.createElement('span');
+        badge.className = 'badge badge-lab';
+        badge.textContent = '🔬 Lab';
+        item.append(badge);
+    }
+
+    if (room.freedByCancellation) {
+        const note = document.createElement('span');
+        note.className = 'badge badge-cancelled';
+        note.textContent = 'Class cancelled';
+        item.append(note);
+    }
+
+    return item;
+}
+
+function renderFreeRoomsView() {
+    const days = CONFIG.DAYS.filter(day => state.occupancy[day]?.slots.length);
+    const today = getCurrentDay();
+    setSelectOptions(elements.freeRoomDay, days.map(day => ({ value: day, label: day })), today);
+
+    const occupancy = state.occupancy[elements.freeRoomDay.value];
+    const slots = [...(occupancy?.slots || [])].sort((a, b) => ScheduleTime.compareRanges(parseTime(a), parseTime(b)));
+    setSelectOptions(
+        elements.freeRoomSlot,
+        [...new Set(slots)].map(slot => ({ value: slot, label: formatTimeRange(slot) })),
+        getDefaultSlot(slots, elements.freeRoomDay.value)
+    );
+
+    const freeRooms = findFreeRooms(occupancy, elements.freeRoomSlot.value)
+        .sort((a, b) => Number(a.isLab) - Number(b.isLab) || a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+    elements.freeRoomList.replaceChildren(...freeRooms.map(createFreeRoomItem));
+    elements.noFreeRooms.classList.toggle('hidden', freeRooms.length > 0);
+    elements.freeRoomSummary.textContent = occupancy
+        ? `${freeRooms.length} of ${occupancy.rooms.length} rooms free • ${elements.freeRoomDay.value}, ${formatTimeRange(elements.freeRoomSlot.value)}`
+        : 'Room data is not loaded yet.';
+}
+
+/**
+ * Minute range shown on the week grid, widened to whole hours around every class
+ */
+function getWeekAxis(ranges) {
+    if (!ranges.length) {
+        return { start: CONFIG.WEEK_GRID_DEFAULT_START, end: CONFIG.WEEK_GRID_DEFAULT_END };
+    }
+    return {
+        start: Math.floor(Math.min(...ranges.map(range => range.start)) / 60) * 60,
+        end: Math.ceil(Math.max(...ranges.map(range => range.end)) / 60) * 60
+    };
+}
+
+// Position along the week grid's minute axis; --minute-height sets the scale
+function toGridOffset(minutes) {
+    return `calc(${minutes} * var(--minute-height))`;
+}
+
+/**
+ * @param {boolean} showStatus - Whether the sheet's status applies; it only describes the current week
+ * @param {string} day - Weekday of the column the block sits in
+ */
+function createWeekBlock(cls, range, layout, axis, showStatus, day) {
+    const block = document.createElement('div');
+    const clash = describeClash(cls);
+    block.className = `table-class ${cls.isLab ? 'lab' : 'lecture'}`;
+    block.classList.toggle('has-clash', Boolean(clash));
+    block.classList.toggle('is-cancelled', showStatus && !ScheduleCore.isHeldInSlot(cls));
+    block.style.top = toGridOffset(range.start - axis.start);
+    block.style.height = toGridOffset(range.end - range.start);
+    block.style.left = `${(layout.lane / layout.lanes) * 100}%`;
+    block.style.width = `${100 / layout.lanes}%`;
+    block.style.borderLeftColor = `var(--subject-${getSubjectColorIndex(cls.subject)})`;
+    // Room changes and moves are this week's notices, like the status, so other weeks leave them out
+    const roomName = (showStatus && cls.roomChange) || cls.room;
+    block.title = [cls.subject, formatTimeRange(cls.time), roomName, showStatus && describeMove(cls), clash].filter(Boolean).join(' • ');
+    block.dataset.start = range.start;
+    block.setAttribute('role', 'listitem');
+    // cls.day is the schedule day, which differs from the column's weekday on a swapped day
+    block.setAttribute('aria-label', describeClassForScreenReader(cls, showStatus, day));
+    block.tabIndex = -1;
+
+    const subject = document.createElement('div');
+    subject.className = 'table-subject';
+    subject.textContent = cls.subject;
+
+    const time = document.createElement('div');
+    time.className = 'table-time';
+    time.textContent = `${ScheduleTime.formatClock(range.start)} – ${ScheduleTime.formatClock(range.end)}`;
+
+    const room = document.createElement('div');
+    room.className = 'table-room';
+    room.textContent = `📍 ${roomName}`;
+
+    block.append(subject, time, room);
+
+    // Spelled out so the status does not rest on the strike-through alone
+    const status = showStatus && (cls.movedTo ? 'Moved' : STATUS_LABELS[cls.status]);
+    if (status) {
+        const label = document.createElement('div');
+        label.className = 'table-status';
+        label.textContent = status;
+        block.append(label);
+    }
+
+    if (clash) {
+        const warning = document.createElement('div');
+        warning.className = 'table-clash';
+        warning.textContent = '⚠️ Clash';
+        block.append(warning);
+    }
+
+    return block;
+}
+
+/**
+ * Classes with a readable time, paired with their start/end minutes
+ * @returns {Array<{cls: Object, range: {start: number, end: number}}>}
+ */
+function getPlacedClasses() {
+    return state.schedule
+        .map(cls => {
+            const { startMinutes, endMinutes } = getClassMinutes(cls);
+            return startMinutes === null ? null : { cls, range: { start: startMinutes, end: endMinutes } };
+        })
+        .filter(Boolean);
+}
+
+function getShownWeekStart() {
+    return state.weekStart || SemesterCalendar.getWeekStart(toDateInputValue(new Date()));
+}
+
+/**
+ * Title and date range for the week view's navigation, e.g. "Week 10 • This week", "Mar 23 – Mar 28"
+ */
+function describeShownWeek(weekStart) {
+    const lastDay = SemesterCalendar.addDays(weekStart, CONFIG.DAYS.length - 1);
+    const week = SemesterCalendar.getSemesterWeek(state.calendar, weekStart) ??
+        SemesterCalendar.getSemesterWeek(state.calendar, lastDay);
+    const isCurrent = weekStart === SemesterCalendar.getWeekStart(toDateInputValue(new Date()));
+
+    let title = week ? `Week ${week}` : 'Outside the semester';
+    if (isCurrent) title += ' • This week';
+    return { title, range: `${formatMonthDay(weekStart)} – ${formatMonthDay(lastDay)}`, isCurrent };
+}
+
+function showWeek(weekStart) {
+    state.weekStart = weekStart === SemesterCalendar.getWeekStart(toDateInputValue(new Date())) ? null : weekStart;
+    writeViewToUrl({ push: true });
+    renderCurrentView();
+}
+
+function createWeekHead(day, info, isToday) {
+    const head = document.createElement('div');
+    head.className = 'week-grid-head';
+    head.classList.toggle('is-today', isToday);
+    head.textContent = day;
+
+    if (info) {
+        const date = document.createElement('span');
+        date.className = 'week-head-date';
+        date.textContent = formatMonthDay(info.date);
+        head.append(date);
+
+        const note = describeDayNote(info);
+        if (note && info.kind !== 'before' && info.kind !== 'after') {
+            const tag = document.createElement('span');
+            tag.className = 'week-head-note';
+            tag.textContent = info.kind === 'swap' ? `${info.scheduleDay} classes` : note;
+            tag.title = note;
+            head.append(tag);
+        }
+    }
+    return head;
+}
+
+/**
+ * Calendar-style week: each class spans its real start-to-end time on a shared
+ * minute axis, and overlapping classes share their column side by side.
+ * Columns are the shown week's dates, so holidays and exam days stay empty and a swapped day
+ * holds the classes of the day it follows; `timetable` draws the plain weekly timetable instead
+ * @param {{timetable?: boolean}} [options]
+ */
+function renderWeekView({ timetable = false } = {}) {
+    const weekStart = getShownWeekStart();
+    const shown = describeShownWeek(weekStart);
+    const showStatus = timetable || shown.isCurrent;
+
+    // Makeup classes belong to the week the sheet describes, not to weeks browsed to
+    const placed = getPlacedClasses().filter(entry => showStatus || !ScheduleCore.isOneOff(entry.cls));
+
+    const axis = getWeekAxis(placed.map(entry => entry.range));
+    const today = toDateInputValue(new Date());
+    const days = CONFIG.DAYS.map((day, i) => ({
+        day,
+        info: timetable ? null : SemesterCalendar.getDayInfo(state.calendar, SemesterCalendar.addDays(weekStart, i))
+    }));
+    const grid = elements.weekGrid;
+    grid.dataset.axisStart = axis.start;
+    grid.dataset.axisEnd = axis.end;
+
+    elements.weekLabel.textContent = shown.title;
+    elements.weekRange.textContent = shown.range;
+    elements.thisWeek.disabled = shown.isCurrent;
+
+    const corner = document.createElement('div');
+    corner.className = 'week-grid-head time-col';
+    corner.textContent = 'Time';
+    const headers = [corner, ...days.map(({ day, info }) => createWeekHead(day, info, info?.date === today))];
+
+    const timeAxis = document.createElement('div');
+    timeAxis.className = 'week-axis';
+    timeAxis.setAttribute('aria-hidden', 'true');
+    timeAxis.style.height = toGridOffset(axis.end - axis.start);
+    for (let minutes = axis.start; minutes < axis.end; minutes += 60) {
+        const label = document.createElement('span');
+        label.className = 'week-hour';
+        label.style.top = toGridOffset(minutes - axis.start);
+        label.textContent = ScheduleTime.formatClock(minutes);
+        timeAxis.append(label);
+    }
+
+    const columns = days.map(({ day, info }) => {
+        const column = document.createElement('div');
+        column.className = 'week-day';
+        column.dataset.day = day;
+        column.setAttribute('role', 'list');
+        column.setAttribute('aria-label', info ? [day, formatMonthDay(info.date), describeDayNote(info)].filter(Boolean).join(', ') : day);
+        if (info) {
+            column.dataset.date = info.date;
+            column.classList.toggle('is-off', !info.scheduleDay);
+        }
+
+        const scheduleDay = info ? info.scheduleDay : day;
+        const entries = placed.filter(entry => entry.cls.day === scheduleDay);
+        const lanes = ScheduleTime.assignLanes(entries.map(entry => entry.range));
+        entries.forEach((entry, i) => column.append(createWeekBlock(entry.cls, entry.range, lanes[i], axis, showStatus, day)));
+        return column;
+    });
+
+    grid.replaceChildren(...headers, timeAxis, ...columns);
+    const first = grid.querySelector('.table-class');
+    if (first) first.tabIndex = 0;
+    updateNowLine();
+}
+
+/**
+ * Arrow-key movement between the week grid's classes: up and down within a day, left and right
+ * to the class nearest in time on the closest day that has one, Home and End to a day's first
+ * and last class. Only the focused class is in the Tab order
+ */
+function handleWeekGridKeys(e) {
+    const block = e.target.closest('.table-class');
+    if (!block) return;
+
+    const startOf = el => Number(el.dataset.start);
+    const columns = [...elements.weekGrid.querySelectorAll('.week-day')]
+        .map(column => [...column.querySelectorAll('.table-class')].sort((a, b) => startOf(a) - startOf(b)));
+    const col = columns.findIndex(blocks => blocks.includes(block));
+    const row = columns[col].indexOf(block);
+
+    const nearestIn = (step) => {
+        for (let i = col + step; i >= 0 && i < columns.length; i += step) {
+            if (columns[i].length === 0) continue;
+            return columns[i].reduce((best, candidate) =>
+                Math.abs(startOf(candidate) - startOf(block)) < Math.abs(startOf(best) - startOf(block)) ? candidate : best
+            );
+        }
+        return null;
+    };
+
+    const moves = {
+        ArrowUp: () => columns[col][row - 1],
+        ArrowDown: () => columns[col][row + 1],
+        ArrowLeft: () => nearestIn(-1),
+        ArrowRight: () => nearestIn(1),
+        Home: () => columns[col][0],
+        End: () => columns[col][columns[col].length - 1]
+    };
+    if (!moves[e.key]) return;
+    e.preventDefault();
+
+    const target = moves[e.key]();
+    if (!target || target === block) return;
+
+    block.tabIndex = -1;
+    target.tabIndex = 0;
+    target.focus();
+}
+
+/**
+ * Draw the current time across today's column of the week grid
+ */
+function updateNowLine() {
+    const grid = elements.weekGrid;
+    grid.querySelector('.now-line')?.remove();
+
+    const column = grid.querySelector(`.week-day[data-date="${toDateInputValue(new Date())}"]`);
+    const axisStart = Number(grid.dataset.axisStart);
+    const now = getCurrentMinutes();
+    if (!column || now < axisStart || now > Number(grid.dataset.axisEnd)) return;
+
+    const line = document.createElement('div');
+    line.className = 'now-line';
+    line.style.top = toGridOffset(now - axisStart);
+    line.title = `Now • ${ScheduleTime.formatClock(now)}`;
+    column.append(line);
+}
+
+/**
+ * Short description of the slot a class moves to or from, e.g. "Thu 2:30 PM • Lab 3"
+ * Any part may be missing from a notice the schedule could not place
+ */
+function describeMoveSlot({ day, time, room }) {
+    const when = [day?.slice(0, 3), time && formatTime(time).start].filter(Boolean).join(' ');
+    return [when, room].filter(Boolean).join(' • ');
+}
+
+/**
+ * Where a rescheduled class moves to or a makeup class comes from, e.g. "Moved to Thu 2:30 PM • Lab 3"
+ */
+function describeMove(cls) {
+    if (cls.movedTo) return `Moved to ${describeMoveSlot(cls.movedTo)}`;
+    if (cls.movedFrom) return `Moved from ${describeMoveSlot(cls.movedFrom)}`;
+    if (cls.target) return `Moved to ${describeMoveSlot(cls.target)}`;
+    return '';
+}
+
+const STATUS_LABELS = {
+    cancelled: 'Cancelled',
+    rescheduled: 'Rescheduled',
+    makeup: 'Makeup'
+};
+
+/**
+ * What a screen reader announces for a class, e.g. "Monday 08:30 to 09:50, Data Structures, Room 3, cancelled"
+ * Says everything the card or grid block shows through color, icons and strike-through
+ * @param {boolean} [showStatus=true] - Whether the sheet's status applies (it only describes the current week)
+ * @param {string} [day] - Weekday to announce, when the class runs on another day than its own
+ */
+function describeClassForScreenReader(cls, showStatus = true, day = cls.day) {
+    const { startMinutes, endMinutes } = getClassMinutes(cls);
+    const time = startMinutes === null
+        ? cls.time
+        : `${ScheduleTime.formatClock24(startMinutes)} to ${ScheduleTime.formatClock24(endMinutes)}`;
+    const room = showStatus && cls.roomChange ? `${cls.roomChange}, usually ${cls.room}` : cls.room || 'room to be announced';
+
+    return [
+        `${day} ${time}`,
+        cls.subject || 'Unknown',
+        room,
+        cls.isLab ? 'lab' : '',
+        cls.teacher,
+        showStatus && STATUS_LABELS[cls.status]?.toLowerCase(),
+        showStatus && describeMove(cls),
+        describeClash(cls)
+    ].filter(Boolean).join(', ');
+}
+
+function getMoveLinkId(cls) {
+    const slot = cls.movedTo || cls.movedFrom;
+    return slot ? getClassLinkId({ ...slot, subject: cls.subject }) : null;
+}
+
+/**
+ * @param {boolean} [live=false] - Today view: carry the slot's minutes and a slot for updateLiveStatus()
+ */
+function createScheduleCard(cls, showDay = false, index = 0, live = false) {
+    // Cancelled and moved classes never go live or count down
+    const { startMinutes, endMinutes } = getClassMinutes(cls);
+    const isLive = live && startMinutes !== null && ScheduleCore.isHeldInSlot(cls);
+
+    return ScheduleCards.renderScheduleCard(cls, {
+        time: formatTime(cls.time),
+        colorIndex: getSubjectColorIndex(cls.subject),
+        linkId: getClassLinkId(cls),
+        ariaLabel: describeClassForScreenReader(cls),
+        statusLabel: STATUS_LABELS[cls.status],
+        clash: describeClash(cls),
+        move: describeMove(cls),
+        moveLinkId: getMoveLinkId(cls),
+        live: isLive ? { start: startMinutes, end: endMinutes } : null,
+        // Nearest upcoming assessment for this subject
+        assessmentBadge: createAssessmentBadge(cls.subject),
+        showDay,
+        index
+    });
+}
+
+// ========================================
+// Event Handlers
+// ========================================
+
+function initEventListeners() {
+    elements.navTabs.forEach(tab => {
+        tab.addEventListener('click', () => {
+            selectTab(elements.navTabs, tab);
+            state.currentView = tab.dataset.view;
+            state.searchQuery = '';
+            state.currentDayFilter = 'all';
+            state.linkedClassId = null;
+            elements.searchInput.value = '';
+            updateDayFilterButtons();
+            applyFilters();
+            renderCurrentView();
+            updateTodayInfoVisibility();
+            writeViewToUrl({ push: true });
+        });
+    });
+
+    elements.dayBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            selectTab(elements.dayBtns, btn);
+            state.currentDayFilter = btn.dataset.day;
+            state.linkedClassId = null;
+            applyFilters();
+            renderCurrentView();
+            writeViewToUrl({ push: true });
+        });
+    });
+
+    elements.searchInput.addEventListener('input', (e) => {
+        // One history entry per search, not per keystroke
+        const startingSearch = !state.searchQuery;
+        state.searchQuery = e.target.value;
+        state.linkedClassId = null;
+        applyFilters();
+        renderCurrentView();
+        writeViewToUrl({ push: startingSearch });
+    });
+
+    elements.clearSearch.addEventListener('click', clearSearch);
+
+    elements.searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            clearSearch();
+        }
+    });
+
+    elements.showAllClasses.addEventListener('click', () => {
+        state.linkedClassId = null;
+        applyFilters();
+        renderCurrentView();
+        writeViewToUrl({ push: true });
+    });
+
+    elements.scheduleContent.addEventListener('click', (e) => {
+        const button = e.target.closest('.card-link');
+        if (button) copyClassLink(button);
+
+        // Open the other half of a moved class on its own
+        const moveLink = e.target.closest('.move-link');
+        if (moveLink) {
+            state.linkedClassId = moveLink.dataset.classId;
+            state.currentDayFilter = 'all';
+            state.searchQuery = '';
+            elements.searchInput.value = '';
+            updateDayFilterButtons();
+            applyFilters();
+            renderCurrentView();
+            writeViewToUrl({ push: true });
+        }
+    });
+
+    window.addEventListener('popstate', () => {
+        applyViewState(readViewFromUrl());
+        applyFilters();
+        renderCurrentView();
+    });
+
+    elements.freeRoomDay.addEventListener('change', renderFreeRoomsView);
+    elements.freeRoomSlot.addEventListener('change', renderFreeRoomsView);
+
+    elements.prevWeek.addEventListener('click', () => showWeek(SemesterCalendar.addDays(getShownWeekStart(), -7)));
+    elements.nextWeek.addEventListener('click', () => showWeek(SemesterCalendar.addDays(getShownWeekStart(), 7)));
+    elements.thisWeek.addEventListener('click', () => showWeek(null));
+
+    elements.themeToggle.addEventListener('click', toggleTheme);
+    elements.contrastToggle.addEventListener('click', toggleContrast);
+
+    initTablistKeys(elements.navTabs);
+    initTablistKeys(elements.dayBtns);
+    elements.weekGrid.addEventListener('keydown', handleWeekGridKeys);
+
+    elements.refreshBtn.addEventListener('click', () => {
+        elements.refreshBtn.classList.add('spinning');
+        fetchSchedule().finally(() => {
+            setTimeout(() => {
+                elements.refreshBtn.classList.remove('spinning');
+            }, 500);
+        });
+    });
+
+    elements.retryBtn.addEventListener('click', fetchSchedule);
+}
+
+function updateDayFilterButtons() {
+    selectTab(elements.dayBtns, [...elements.dayBtns].find(btn => btn.dataset.day === state.currentDayFilter));
+}
+
+/**
+ * Mark one tab of a tablist as selected; only the selected tab is in the Tab order
+ */
+function selectTab(tabs, selected) {
+    tabs.forEach(tab => {
+        const isSelected = tab === selected;
+        tab.classList.toggle('active', isSelected);
+        tab.setAttribute('aria-selected', String(isSelected));
+        tab.tabIndex = isSelected ? 0 : -1;
+    });
+}
+
+/**
+ * Arrow keys move between a tablist's tabs (wrapping at the ends), Home and End jump to the
+ * first and last; the focused tab is activated straight away
+ */
+function initTablistKeys(tabs) {
+    const list = [...tabs];
+    const moves = {
+        ArrowRight: i => (i + 1) % list.length,
+        ArrowDown: i => (i + 1) % list.length,
+        ArrowLeft: i => (i - 1 + list.length) % list.length,
+        ArrowUp: i => (i - 1 + list.length) % list.length,
+        Home: () => 0,
+        End: () => list.length - 1
+    };
+
+    list.forEach((tab, i) => {
+        tab.addEventListener('keydown', (e) => {
+            if (!moves[e.key]) return;
+            e.preventDefault();
+            const target = list[moves[e.key](i)];
+            target.focus();
+            target.click();
+        });
+    });
+}
+
+function updateTodayInfoVisibility() {
+    elements.todayInfo.classList.toggle('hidden', state.currentView !== 'today');
+}
+
+function clearSearch() {
+    elements.searchInput.value = '';
+    state.searchQuery = '';
+    applyFilters();
+    renderCurrentView();
+    writeViewToUrl();
+}
+
+// ========================================
+// Deep Links
+// ========================================
+
+// View state shares the query string with the profile's section/color/tolerance, e.g.
+// ?section=SE-C&view=week&week=2026-03-23&day=Wednesday&q=lab or ?class=wed-0830-data-structures
+const VIEW_PARAMS = ['view', 'week', 'day', 'q', 'class'];
+
+function slugify(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Readable id for a class that survives refreshes: day, start time and subject
+ */
+function getClassLinkId(cls) {
+    const range = getClassRange(cls);
+    const start = range ? ScheduleTime.formatClock24(range.start).replace(':', '') : slugify(cls.time);
+    return [cls.day.slice(0, 3).toLowerCase(), start, slugify(cls.subject)].join('-');
+}
+
+function readViewFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const views = [...elements.navTabs].map(tab => tab.dataset.view);
+    const view = params.get('view');
+    const week = params.get('week');
+    const day = params.get('day');
+
+    return {
+        view: views.includes(view) ? view : 'today',
+        weekStart: SemesterCalendar.isDate(week) ? SemesterCalendar.getWeekStart(week) : null,
+        day: CONFIG.DAYS.includes(day) ? day : 'all',
+        query: params.get('q') || '',
+        classId: params.get('class') || null
+    };
+}
+
+function buildViewUrl(classId = state.linkedClassId) {
+    const url = new URL(window.location.href);
+    VIEW_PARAMS.forEach(param => url.searchParams.delete(param));
+
+    if (state.currentView !== 'today') url.searchParams.set('view', state.currentView);
+    if (state.currentView === 'week' && state.weekStart) url.searchParams.set('week', state.weekStart);
+    if (state.currentDayFilter !== 'all') url.searchParams.set('day', state.currentDayFilter);
+    if (state.searchQuery) url.searchParams.set('q', state.searchQuery);
+    if (classId) url.searchParams.set('class', classId);
+    return url;
+}
+
+/**
+ * Mirror the view state in the address bar
+ * Tab and day changes push a history entry so back/forward steps through them
+ */
+function writeViewToUrl({ push = false } = {}) {
+    const url = buildViewUrl();
+    if (url.href === window.location.href) return;
+
+    if (push) {
+        history.pushState(history.state, '', url);
+    } else {
+        history.replaceState(history.state, '', url);
+    }
+}
+
+function applyViewState({ view, weekStart, day, query, classId }) {
+    state.currentView = view;
+    state.weekStart = weekStart;
+    state.currentDayFilter = day;
+    state.searchQuery = query;
+    state.linkedClassId = classId;
+
+    elements.searchInput.value = query;
+    selectTab(elements.navTabs, [...elements.navTabs].find(tab => tab.dataset.view === view));
+    updateDayFilterButtons();
+    updateTodayInfoVisibility();
+}
+
+async function copyClassLink(button) {
+    // A link to one class opens on that class alone, whatever view it was copied from,
+    // and carries the profile so a classmate's saved section doesn't hide it
+    const url = new URL(window.location.href);
+    VIEW_PARAMS.forEach(param => url.searchParams.delete(param));
+    setProfileParams(url, state.profile);
+    url.searchParams.set('class', button.dataset.classId);
+
+    try {
+        await navigator.clipboard.writeText(url.href);
+        button.textContent = '✅';
+    } catch (error) {
+        console.warn('Failed to copy link:', error);
+        button.textContent = '⚠️';
+    }
+    setTimeout(() => {
+        button.textContent = '🔗';
+    }, 1500);
+}
+
+// ========================================
+// Theme Management
+// ========================================
+
+function initTheme() {
+    const savedTheme = localStorage.getItem('theme');
+    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+
+    if (savedTheme) {
+        document.documentElement.setAttribute('data-theme', savedTheme);
+    } else if (prefersDark) {
+        document.documentElement.setAttribute('data-theme', 'dark');
+    }
+
+    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
+        if (!localStorage.getItem('theme')) {
+            document.documentElement.setAttribute('data-theme', e.matches ? 'dark' : 'light');
+        }
+    });
+}
+
+function toggleTheme() {
+    const currentTheme = document.documentElement.getAttribute('data-theme');
+    const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+
+    document.documentElement.setAttribute('data-theme', newTheme);
+    localStorage.setItem('theme', newTheme);
+}
+
+/**
+ * High contrast sits on top of the light or dark theme: it follows the system's
+ * prefers-contrast setting until the user picks one with the toggle
+ */
+function initContrast() {
+    const query = window.matchMedia('(prefers-contrast: more)');
+    const saved = localStorage.getItem('contrast');
+
+    applyContrast(saved ? saved === 'high' : query.matches);
+
+    query.addEventListener('change', (e) => {
+        if (!localStorage.getItem('contrast')) {
+            applyContrast(e.matches);
+        }
+    });
+}
+
+function applyContrast(isHigh) {
+    if (isHigh) {
+        document.documentElement.setAttribute('data-contrast', 'high');
+    } else {
+        document.documentElement.removeAttribute('data-contrast');
+    }
+    elements.contrastToggle.setAttribute('aria-pressed', String(isHigh));
+}
+
+function toggleContrast() {
+    const isHigh = document.documentElement.getAttribute('data-contrast') !== 'high';
+    applyContrast(isHigh);
+    localStorage.setItem('contrast', isHigh ? 'high' : 'normal');
+}
+
+// ========================================
+// Settings Panels
+// ========================================
+
+/**
+ * Header buttons toggle the settings panel named by their aria-controls;
+ * only one panel is open at a time
+ */
+function openSettingsPanel(panel, button) {
+    document.querySelectorAll('.settings-panel').forEach(other => {
+        if (other !== panel) other.classList.add('hidden');
+    });
+    document.querySelectorAll('.header-actions [aria-controls]').forEach(btn => {
+        btn.setAttribute('aria-expanded', String(btn === button));
+    });
+    panel.classList.remove('hidden');
+}
+
+function closeSettingsPanel(panel, button) {
+    panel.classList.add('hidden');
+    button.setAttribute('aria-expanded', 'false');
+}
+
+// ========================================
+// Section Profiles
+// ========================================
+
+function normalizeHexColor(color) {
+    if (typeof color !== 'string') return null;
+    const hex = color.trim().replace(/^#/, '').toLowerCase();
+    return /^[0-9a-f]{6}$/.test(hex) ? `#${hex}` : null;
+}
+
+/**
+ * Validate a (possibly partial) profile, falling back to defaults field by field
+ * @param {{section?: string, color?: string, tolerance?: number|string}} raw
+ * @returns {{section: string, color: string, tolerance: number}}
+ */
+function normalizeProfile(raw = {}) {
+    const defaults = CONFIG.DEFAULT_PROFILE;
+    const section = typeof raw.section === 'string' ? raw.section.trim().toUpperCase() : '';
+    const tolerance = parseFloat(raw.tolerance);
+
+    return {
+        section: ScheduleCore.isValidSection(section) ? section : defaults.section,
+        color: normalizeHexColor(raw.color) || defaults.color,
+        tolerance: Number.isFinite(tolerance) && tolerance >= 0 && tolerance <= 1 ? tolerance : defaults.tolerance
+    };
+}
+
+function isSameProfile(a, b) {
+    return a.section === b.section && a.color === b.color && a.tolerance === b.tolerance;
+}
+
+function readProfileFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('section') && !params.has('color') && !params.has('tolerance')) {
+        return null;
+    }
+    return {
+        section: params.get('section') ?? undefined,
+        color: params.get('color') ?? undefined,
+        tolerance: params.get('tolerance') ?? undefined
+    };
+}
+
+function setProfileParams(url, profile) {
+    url.searchParams.set('section', profile.section);
+    url.searchParams.set('color', profile.color.replace('#', ''));
+    url.searchParams.set('tolerance', String(profile.tolerance));
+}
+
+function writeProfileToUrl(profile) {
+    const url = new URL(window.location.href);
+    setProfileParams(url, profile);
+    history.replaceState(history.state, '', url);
+}
+
+function loadSavedProfile() {
+    try {
+        const saved = localStorage.getItem(CONFIG.PROFILE_KEY);
+        return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+        console.warn('Failed to load profile:', error);
+        return null;
+    }
+}
+
+function getSavedProfiles() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.SAVED_PROFILES_KEY) || '[]');
+        return Array.isArray(saved) ? saved.map(normalizeProfile) : [];
+    } catch (error) {
+        console.warn('Failed to load saved profiles:', error);
+        return [];
+    }
+}
+
+function saveProfile(profile) {
+    try {
+        localStorage.setItem(CONFIG.PROFILE_KEY, JSON.stringify(profile));
+
+        const others = getSavedProfiles().filter(p => !isSameProfile(p, profile));
+        const saved = [profile, ...others].slice(0, CONFIG.MAX_SAVED_PROFILES);
+        localStorage.setItem(CONFIG.SAVED_PROFILES_KEY, JSON.stringify(saved));
+    } catch (error) {
+        console.warn('Failed to save profile:', error);
+    }
+}
+
+/**
+ * Resolve the active profile: URL parameters win over the saved profile,
+ * which wins over CONFIG.DEFAULT_PROFILE
+ */
+function initProfile() {
+    const fromUrl = readProfileFromUrl();
+    const saved = loadSavedProfile();
+
+    state.profile = normalizeProfile({ ...CONFIG.DEFAULT_PROFILE, ...saved, ...fromUrl });
+    saveProfile(state.profile);
+    writeProfileToUrl(state.profile);
+    updateProfileHeader();
+}
+
+function setProfile(profile) {
+    if (isSameProfile(profile, state.profile)) {
+        closeProfilePanel();
+        return;
+    }
+
+    state.profile = profile;
+    state.sheetSchedule = [];
+    state.schedule = [];
+    state.courses = loadCourseSelection(profile);
+    saveProfile(profile);
+    writeProfileToUrl(profile);
+    updateProfileHeader();
+    refreshChangeHistory();
+    state.assessments = loadAssessments(profile);
+    state.attendance = loadAttendance(profile);
+    closeProfilePanel();
+    showCachedSchedule();
+    fetchSchedule();
+}
+
+function updateProfileHeader() {
+    const { section, color } = state.profile;
+
+    elements.brandTitle.textContent = `${section} Schedule`;
+    elements.brandSubtitle.textContent = `BS Software Engineering • Batch ${color} • ${CONFIG.SEMESTER_LABEL}`;
+    elements.footerNote.textContent = `Auto-refreshes every 5 minutes • Only showing ${section} classes`;
+    document.title = `${section} - Class Schedule | ${CONFIG.SEMESTER_LABEL}`;
+}
+
+function renderProfilePanel() {
+    const { section, color, tolerance } = state.profile;
+
+    elements.profileSection.value = section;
+    elements.profileColor.value = color;
+    elements.profileTolerance.value = tolerance;
+
+    const saved = getSavedProfiles();
+    elements.savedProfiles.replaceChildren(...saved.map(profile => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'profile-chip';
+        chip.classList.toggle('active', isSameProfile(profile, state.profile));
+        chip.style.setProperty('--chip-color', profile.color);
+        chip.textContent = profile.section;
+        chip.title = `${profile.section} • ${profile.color} • ±${profile.tolerance}`;
+        chip.addEventListener('click', () => setProfile(profile));
+        return chip;
+    }));
+}
+
+function openProfilePanel() {
+    renderProfilePanel();
+    openSettingsPanel(elements.profilePanel, elements.profileBtn);
+    elements.profileSection.focus();
+}
+
+function closeProfilePanel() {
+    closeSettingsPanel(elements.profilePanel, elements.profileBtn);
+}
+
+function initProfileListeners() {
+    elements.profileBtn.addEventListener('click', () => {
+        if (elements.profilePanel.classList.contains('hidden')) {
+            openProfilePanel();
+        } else {
+            closeProfilePanel();
+        }
+    });
+
+    elements.profileForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        setProfile(normalizeProfile({
+            section: elements.profileSection.value,
+            color: elements.profileColor.value,
+            tolerance: elements.profileTolerance.value
+        }));
+    });
+
+    elements.profileReset.addEventListener('click', () => {
+        setProfile({ ...CONFIG.DEFAULT_PROFILE });
+    });
+
+    elements.profileCopyLink.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            elements.profileCopyLink.textContent = 'Copied!';
+        } catch (error) {
+            console.warn('Failed to copy link:', error);
+            elements.profileCopyLink.textContent = 'Copy failed';
+        }
+        setTimeout(() => {
+            elements.profileCopyLink.textContent = 'Copy link';
+        }, 1500);
+    });
+}
+
+// ========================================
+// My Courses
+// ========================================
+
+// Section marker in pasted cell text, e.g. "Compiler Construction (SE-A)"
+const SECTION_MARKER_PATTERN = /\(([A-Z]{2,}-[A-Z0-9]+)\)/i;
+
+function getCourseKey(subject) {
+    return String(subject || '').trim().toLowerCase();
+}
+
+function loadCourseSelection(profile) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(getCacheKeys(profile).courses) || '{}') || {};
+        return {
+            excluded: Array.isArray(stored.excluded) ? stored.excluded : [],
+            extras: Array.isArray(stored.extras) ? stored.extras : []
+        };
+    } catch (error) {
+        console.warn('Failed to load course selection:', error);
+        return { excluded: [], extras: [] };
+    }
+}
+
+function saveCourseSelection() {
+    try {
+        localStorage.setItem(getCacheKeys(state.profile).courses, JSON.stringify(state.courses));
+    } catch (error) {
+        console.warn('Failed to save course selection:', error);
+    }
+}
+
+/**
+ * Turn a course added from another section into a schedule entry
+ * The cell text is kept and re-parsed, so parser fixes also apply to saved courses
+ */
+function extraCourseToClass(extra) {
+    const section = extra.content.match(SECTION_MARKER_PATTERN)?.[1] || '';
+    const { subject, status, embeddedTime, teacher, target, roomChange } = parseSubjectAndStatus(extra.content, section);
+    const time = embeddedTime || extra.time;
+
+    return {
+        day: extra.day,
+        time,
+        subject,
+        room: extra.room || 'TBA',
+        isLab: isLabRoom(extra.room || '') || isLabTimeSlot(time),
+        status,
+        teacher,
+        target,
+        roomChange,
+        rawContent: extra.content,
+        section: section.toUpperCase(),
+        extraId: extra.id
+    };
+}
+
+/**
+ * Validate the "add a course" form
+ * @returns {{id: string, day: string, time: string, room: string, content: string}}
+ * @throws {Error} When the text has no subject or no usable time
+ */
+function createExtraCourse({ day, time, room, content }) {
+    const extra = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        day,
+        time: time.trim(),
+        room: room.trim(),
+        content: content.trim()
+    };
+
+    const cls = extraCourseToClass(extra);
+    if (!cls.subject) {
+        throw new Error('Could not find a course name in that text.');
+    }
+    if (!parseTime(cls.time)) {
+        throw new Error('Add a time, e.g. 10:00-11:20, or paste text that includes one.');
+    }
+    return extra;
+}
+
+/**
+ * The personal timetable: the sheet's classes minus dropped courses, plus courses added from other sections
+ */
+function applyCourseSelection(schedule) {
+    const excluded = new Set(state.courses.excluded);
+    return [
+        ...schedule.filter(cls => !excluded.has(getCourseKey(cls.subject))),
+        ...state.courses.extras.map(extraCourseToClass)
+    ];
+}
+
+function setSheetSchedule(schedule) {
+    state.sheetSchedule = schedule;
+    state.schedule = applyCourseSelection(schedule);
+}
+
+function updateCourseSelection(courses) {
+    state.courses = courses;
+    saveCourseSelection();
+    setSheetSchedule(state.sheetSchedule);
+    renderCoursesPanel();
+    updateUI();
+}
+
+function createCourseToggle(subject, sessions) {
+    const key = getCourseKey(subject);
+
+    const item = document.createElement('li');
+    const label = document.createElement('label');
+    label.className = 'settings-field settings-toggle course-toggle';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !state.courses.excluded.includes(key);
+    checkbox.addEventListener('change', () => {
+        const excluded = state.courses.excluded.filter(other => other !== key);
+        if (!checkbox.checked) excluded.push(key);
+        updateCourseSelection({ ...state.courses, excluded });
+    });
+
+    const name = document.createElement('span');
+    name.textContent = subject;
+    const count = document.createElement('span');
+    count.className = 'course-sessions';
+    count.textContent = `${sessions}× a week`;
+
+    label.append(checkbox, name, count);
+    item.append(label);
+    return item;
+}
+
+function createExtraCourseItem(extra) {
+    const cls = extraCourseToClass(extra);
+
+    const item = document.createElement('li');
+    item.className = 'change-item';
+
+    const subject = document.createElement('span');
+    subject.className = 'change-subject';
+    subject.textContent = cls.subject;
+
+    const details = document.createElement('span');
+    details.textContent = [cls.section, `${cls.day} ${formatTimeRange(cls.time)}`, cls.room].filter(Boolean).join(' • ');
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'deadline-remove';
+    remove.setAttribute('aria-label', `Remove ${cls.subject}`);
+    remove.textContent = '✕';
+    remove.addEventListener('click', () => {
+        updateCourseSelection({
+            ...state.courses,
+            extras: state.courses.extras.filter(other => other.id !== extra.id)
+        });
+    });
+
+    item.append(subject, details, remove);
+    return item;
+}
+
+function renderCoursesPanel() {
+    // Keyed like the exclusions, so "Data Structures" and "data structures" share one toggle
+    // named after the first spelling in the sheet
+    const courses = new Map();
+    for (const cls of state.sheetSchedule) {
+        if (!cls.subject) continue;
+        const key = getCourseKey(cls.subject);
+        const course = courses.get(key) || { subject: cls.subject, sessions: 0 };
+        course.sessions++;
+        courses.set(key, course);
+    }
+
+    const sorted = [...courses.values()].sort((a, b) => a.subject.localeCompare(b.subject));
+    elements.courseList.replaceChildren(...sorted.map(({ subject, sessions }) => createCourseToggle(subject, sessions)));
+    elements.extraCourseList.replaceChildren(...state.courses.extras.map(createExtraCourseItem));
+
+    if (elements.extraCourseDay.options.length === 0) {
+        setSelectOptions(elements.extraCourseDay, CONFIG.DAYS.map(day => ({ value: day, label: day })), getCurrentDay());
+    }
+}
+
+function initCoursesListeners() {
+    elements.coursesBtn.addEventListener('click', () => {
+        if (elements.coursesPanel.classList.contains('hidden')) {
+            elements.coursesStatus.textContent = '';
+            renderCoursesPanel();
+            openSettingsPanel(elements.coursesPanel, elements.coursesBtn);
+        } else {
+            closeSettingsPanel(elements.coursesPanel, elements.coursesBtn);
+        }
+    });
+
+    elements.extraCourseForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        try {
+            const extra = createExtraCourse({
+                day: elements.extraCourseDay.value,
+                time: elements.extraCourseTime.value,
+                room: elements.extraCourseRoom.value,
+                content: elements.extraCourseText.value
+            });
+            updateCourseSelection({ ...state.courses, extras: [...state.courses.extras, extra] });
+            elements.extraCourseForm.reset();
+            elements.coursesStatus.textContent = `Added ${extraCourseToClass(extra).subject}.`;
+        } catch (error) {
+            elements.coursesStatus.textContent = error.message;
+        }
+    });
+
+    elements.coursesReset.addEventListener('click', () => {
+        updateCourseSelection({ excluded: [], extras: [] });
+        elements.coursesStatus.textContent = 'Showing every course listed for your section.';
+    });
+}
+
+// ========================================
+// Change Detection
+// ========================================
+
+function loadChangeHistory(profile) {
+    try {
+        const history = JSON.parse(localStorage.getItem(getCacheKeys(profile).changeHistory) || '[]');
+        return Array.isArray(history) ? history : [];
+    } catch (error) {
+        console.warn('Failed to load change history:', error);
+        return [];
+    }
+}
+
+function saveChangeHistory(history, profile) {
+    try {
+        localStorage.setItem(getCacheKeys(profile).changeHistory, JSON.stringify(history));
+    } catch (error) {
+        console.warn('Failed to save change history:', error);
+    }
+}
+
+function refreshChangeHistory() {
+    state.changeHistory = loadChangeHistory(state.profile);
+    updateChangesBadge();
+}
+
+/**
+ * Diff a freshly fetched schedule against the previous snapshot and log any changes
+ */
+function recordScheduleChanges(previous, next, profile) {
+    const changes = ScheduleDiff.diffSchedules(previous, next);
+    if (changes.length === 0) return;
+
+    const dayOrder = CONFIG.DAYS;
+    changes.sort((a, b) => dayOrder.indexOf(a.day) - dayOrder.indexOf(b.day));
+
+    const entry = { timestamp: new Date().toISOString(), changes, seen: false };
+    const history = [entry, ...loadChangeHistory(profile)].slice(0, CONFIG.MAX_CHANGE_HISTORY);
+    saveChangeHistory(history, profile);
+    console.log(`📝 Detected ${changes.length} schedule changes`);
+
+    notifyStatusChanges(changes);
+
+    if (profile === state.profile) {
+        state.changeHistory = history;
+        updateChangesBadge();
+        if (!elements.changesPanel.classList.contains('hidden')) {
+            renderChangesPanel();
+        }
+    }
+}
+
+function updateChangesBadge() {
+    const unseen = state.changeHistory
+        .filter(entry => !entry.seen)
+        .reduce((count, entry) => count + entry.changes.length, 0);
+
+    elements.changesBadge.textContent = unseen > 99 ? '99+' : String(unseen);
+    elements.changesBadge.classList.toggle('hidden', unseen === 0);
+}
+
+function describeSlot(slot) {
+    return [slot.time, slot.room].filter(Boolean).join(', ');
+}
+
+const CHANGE_LABELS = {
+    added: 'Added',
+    removed: 'Removed',
+    moved: 'Moved',
+    status: 'Status'
+};
+
+function describeChange(change) {
+    switch (change.type) {
+        case 'added':
+            return describeSlot(change.after);
+        case 'removed':
+            return describeSlot(change.before);
+        case 'moved':
+            return `${describeSlot(change.before)} → ${describeSlot(change.after)}`;
+        case 'status':
+            return `${change.before.status} → ${change.after.status}`;
+        default:
+            return '';
+    }
+}
+
+function createChangeItem(change) {
+    const item = document.createElement('li');
+    item.className = `change-item change-${change.type}`;
+
+    const type = document.createElement('span');
+    type.className = 'change-type';
+    type.textContent = CHANGE_LABELS[change.type];
+
+    const subject = document.createElement('span');
+    subject.className = 'change-subject';
+    subject.textContent = `${change.subject || 'Unknown'} • ${change.day}`;
+
+    const detail = document.createElement('span');
+    detail.className = 'change-detail';
+    detail.textContent = describeChange(change);
+
+    item.append(type, subject, detail);
+    return item;
+}
+
+function renderChangesPanel() {
+    if (state.changeHistory.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'settings-hint';
+        empty.textContent = 'No changes detected yet. Changes show up here after a refresh finds differences.';
+        elements.changesList.replaceChildren(empty);
+        return;
+    }
+
+    elements.changesList.replaceChildren(...state.changeHistory.map(entry => {
+        const group = document.createElement('div');
+        group.className = 'change-group';
+        group.classList.toggle('unseen', !entry.seen);
+
+        const heading = document.createElement('h4');
+        heading.className = 'change-time';
+        heading.textContent = new Date(entry.timestamp).toLocaleString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+
+        const list = document.createElement('ul');
+        list.className = 'change-list';
+        list.append(...entry.changes.map(createChangeItem));
+
+        group.append(heading, list);
+        return group;
+    }));
+}
+
+function markChangesSeen() {
+    if (state.changeHistory.every(entry => entry.seen)) return;
+
+    state.changeHistory = state.changeHistory.map(entry => ({ ...entry, seen: true }));
+    saveChangeHistory(state.changeHistory, state.profile);
+    updateChangesBadge();
+}
+
+function initChangesListeners() {
+    elements.changesBtn.addEventListener('click', () => {
+        if (elements.changesPanel.classList.contains('hidden')) {
+            renderChangesPanel();
+            openSettingsPanel(elements.changesPanel, elements.changesBtn);
+            markChangesSeen();
+        } else {
+            closeSettingsPanel(elements.changesPanel, elements.changesBtn);
+        }
+    });
+
+    elements.clearChanges.addEventListener('click', () => {
+        state.changeHistory = [];
+        saveChangeHistory([], state.profile);
+        updateChangesBadge();
+        renderChangesPanel();
+    });
+}
+
+// ========================================
+// Class Reminders
+// ========================================
+
+function loadReminderSettings() {
+    const defaults = { enabled: false, leadMinutes: CONFIG.REMINDER_LEAD_MINUTES };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(CONFIG.REMINDER_SETTINGS_KEY) || '{}') };
+    } catch (error) {
+        console.warn('Failed to load reminder settings:', error);
+        return defaults;
+    }
+}
+
+function saveReminderSettings(settings) {
+    try {
+        localStorage.setItem(CONFIG.REMINDER_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('Failed to save reminder settings:', error);
+    }
+}
+
+function canNotify() {
+    return 'Notification' in window && Notification.permission === 'granted' && loadReminderSettings().enabled;
+}
+
+/**
+ * Reminders already shown today, so a reload does not repeat them
+ */
+function loadSentReminders() {
+    const today = toDateInputValue(new Date());
+    try {
+        const sent = JSON.parse(localStorage.getItem(CONFIG.REMINDERS_SENT_KEY) || 'null');
+        return sent && sent.date === today ? sent : { date: today, ids: [] };
+    } catch (error) {
+        return { date: today, ids: [] };
+    }
+}
+
+function markReminderSent(id) {
+    const sent = loadSentReminders();
+    if (sent.ids.includes(id)) return false;
+
+    sent.ids.push(id);
+    try {
+        localStorage.setItem(CONFIG.REMINDERS_SENT_KEY, JSON.stringify(sent));
+    } catch (error) {
+        console.warn('Failed to save sent reminders:', error);
+    }
+    return true;
+}
+
+/**
+ * Show a notification through the service worker when available
+ * (mobile browsers only allow notifications from a worker registration)
+ */
+async function showNotification(title, options) {
+    const notification = { icon: 'icon.svg', badge: 'icon.svg', ...options };
+    try {
+        const registration = await navigator.serviceWorker?.getRegistration();
+        if (registration) {
+            await registration.showNotification(title, notification);
+            return;
+        }
+        new Notification(title, notification);
+    } catch (error) {
+        console.warn('Failed to show notification:', error);
+    }
+}
+
+function getReminderId(cls, kind) {
+    return [kind, state.profile.section, cls.day, cls.time, cls.subject].join('|');
+}
+
+function sendClassReminder(cls, id) {
+    if (!canNotify() || !markReminderSent(id)) return;
+
+    const { startMinutes } = getClassMinutes(cls);
+    const minutesLeft = Math.max(0, startMinutes - getCurrentMinutes());
+    const time = formatTime(cls.time);
+
+    showNotification(minutesLeft > 0 ? `${cls.subject} in ${minutesLeft} min` : `${cls.subject} is starting`, {
+        body: `${time.start} • ${cls.room || 'TBA'}`,
+        tag: id
+    });
+}
+
+function clearReminderTimers() {
+    state.reminderTimers.forEach(timer => clearTimeout(timer));
+    state.reminderTimers = [];
+}
+
+/**
+ * (Re)schedule reminders for today's remaining classes
+ * Runs after every data update; a reminder whose time passed while the page was closed
+ * fires immediately as long as its class has not started yet
+ */
+function scheduleReminders() {
+    clearReminderTimers();
+    if (!canNotify()) return;
+
+    const { leadMinutes } = loadReminderSettings();
+    const today = getCurrentDay();
+    const now = new Date();
+    const nowMinutes = getCurrentMinutes();
+
+    state.schedule
+        .filter(cls => cls.day === today && ScheduleCore.isHeldInSlot(cls))
+        .forEach(cls => {
+            const { startMinutes } = getClassMinutes(cls);
+            if (startMinutes === null || startMinutes <= nowMinutes) return;
+
+            const id = getReminderId(cls, 'start');
+            const delay = ((startMinutes - leadMinutes) - nowMinutes) * 60 * 1000 - now.getSeconds() * 1000;
+            state.reminderTimers.push(setTimeout(() => sendClassReminder(cls, id), Math.max(0, delay)));
+        });
+}
+
+/**
+ * Alert when one of today's classes turns cancelled or rescheduled
+ */
+function notifyStatusChanges(changes) {
+    if (!canNotify()) return;
+
+    const today = getCurrentDay();
+    changes
+        .filter(change => change.type === 'status' && change.day === today &&
+            ['cancelled', 'rescheduled'].includes(change.after.status))
+        .forEach(change => {
+            const cls = { day: change.day, subject: change.subject, ...change.after };
+            const id = getReminderId(cls, change.after.status);
+            if (!markReminderSent(id)) return;
+
+            const time = formatTime(cls.time);
+            showNotification(`${cls.subject} ${cls.status}`, {
+                body: `Today ${time.start} • ${cls.room || 'TBA'}`,
+                tag: id,
+                requireInteraction: true
+            });
+        });
+}
+
+function renderRemindersPanel() {
+    const settings = loadReminderSettings();
+    elements.remindersEnabled.checked = settings.enabled;
+    elements.reminderLead.value = settings.leadMinutes;
+
+    if (!('Notification' in window)) {
+        elements.remindersStatus.textContent = 'This browser does not support notifications.';
+    } else if (Notification.permission === 'denied') {
+        elements.remindersStatus.textContent = 'Notifications are blocked for this site in your browser settings.';
+    } else {
+        elements.remindersStatus.textContent = '';
+    }
+}
+
+function initRemindersListeners() {
+    elements.remindersBtn.addEventListener('click', () => {
+        if (elements.remindersPanel.classList.contains('hidden')) {
+            renderRemindersPanel();
+            openSettingsPanel(elements.remindersPanel, elements.remindersBtn);
+        } else {
+            closeSettingsPanel(elements.remindersPanel, elements.remindersBtn);
+        }
+    });
+
+    elements.remindersForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const leadMinutes = parseInt(elements.reminderLead.value, 10);
+        const settings = {
+            enabled: elements.remindersEnabled.checked,
+            leadMinutes: Number.isFinite(leadMinutes) && leadMinutes >= 0 ? leadMinutes : CONFIG.REMINDER_LEAD_MINUTES
+        };
+
+        if (settings.enabled && 'Notification' in window && Notification.permission === 'default') {
+            await Notification.requestPermission();
+        }
+
+        saveReminderSettings(settings);
+        renderRemindersPanel();
+        scheduleReminders();
+
+        if (settings.enabled && canNotify()) {
+            elements.remindersStatus.textContent = `Reminders on, ${settings.leadMinutes} min before each class.`;
+        } else if (!settings.enabled) {
+            elements.remindersStatus.textContent = 'Reminders off.';
+        }
+    });
+}
+
+// ========================================
+// Assessments
+// ========================================
+
+function loadAssessments(profile) {
+    try {
+        const items = JSON.parse(localStorage.getItem(getCacheKeys(profile).assessments) || '[]');
+        return Array.isArray(items) ? items.map(Assessments.normalizeAssessment).filter(Boolean) : [];
+    } catch (error) {
+        console.warn('Failed to load assessments:', error);
+        return [];
+    }
+}
+
+function saveAssessments() {
+    try {
+        localStorage.setItem(getCacheKeys(state.profile).assessments, JSON.stringify(state.assessments));
+    } catch (error) {
+        console.warn('Failed to save assessments:', error);
+    }
+}
+
+function formatDueDate(item) {
+    const date = new Date(`${item.due}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    if (!item.time) return date;
+
+    // <input type=time> gives 24-hour "HH:MM", so it skips the sheet's AM/PM guessing
+    const [hours, minutes] = item.time.split(':').map(Number);
+    return `${date}, ${ScheduleTime.formatClock(hours * 60 + minutes)}`;
+}
+
+function describeDaysLeft(days) {
+    if (days === 0) return 'Due today';
+    if (days === 1) return 'Due tomorrow';
+    if (days < 0) return `${-days} ${days === -1 ? 'day' : 'days'} ago`;
+    return `In ${days} days`;
+}
+
+/**
+ * Badge for a schedule card showing the subject's next assessment
+ */
+function createAssessmentBadge(subject) {
+    const upcoming = Assessments.getUpcoming(state.assessments, toDateInputValue(new Date()), subject);
+    if (upcoming.length === 0) return '';
+
+    const next = upcoming[0];
+    const more = upcoming.length > 1 ? ` +${upcoming.length - 1}` : '';
+    return html`<span class="badge badge-assessment badge-${next.type}">📝 ${Assessments.TYPE_LABELS[next.type]} ${formatDueDate(next)}${more}</span>`;
+}
+
+function createDeadlineItem(item, today) {
+    const days = Assessments.daysUntil(item.due, today);
+
+    const row = document.createElement('div');
+    row.className = `deadline-item deadline-${item.type}`;
+    row.classList.toggle('is-soon', days >= 0 && days <= 2);
+
+    const when = document.createElement('div');
+    when.className = 'deadline-when';
+    const date = document.createElement('span');
+    date.className = 'deadline-date';
+    date.textContent = formatDueDate(item);
+    const left = document.createElement('span');
+    left.className = 'deadline-left';
+    left.textContent = describeDaysLeft(days);
+    when.append(date, left);
+
+    const details = document.createElement('div');
+    details.className = 'deadline-details';
+    const title = document.createElement('span');
+    title.className = 'deadline-title';
+    title.textContent = item.title;
+    const subject = document.createElement('span');
+    subject.className = 'deadline-subject';
+    subject.textContent = item.subject;
+    details.append(title, subject);
+
+    const type = document.createElement('span');
+    type.className = `badge badge-assessment badge-${item.type}`;
+    type.textContent = Assessments.TYPE_LABELS[item.type];
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'deadline-remove';
+    remove.setAttribute('aria-label', `Remove ${item.title}`);
+    remove.textContent = '✕';
+    remove.addEventListener('click', () => removeAssessment(item.id));
+
+    row.append(when, details, type, remove);
+    return row;
+}
+
+function renderAssessmentSubjects() {
+    const subjects = [...new Set(state.schedule.map(cls => cls.subject).filter(Boolean))].sort();
+    const selected = elements.assessmentSubject.value;
+
+    elements.assessmentSubject.replaceChildren(...subjects.map(subject => {
+        const option = document.createElement('option');
+        option.value = subject;
+        option.textContent = subject;
+        return option;
+    }));
+
+    if (subjects.includes(selected)) {
+        elements.assessmentSubject.value = selected;
+    }
+}
+
+function renderDeadlinesView() {
+    const today = toDateInputValue(new Date());
+    const upcoming = Assessments.getUpcoming(state.assessments, today);
+    const past = Assessments.getPast(state.assessments, today);
+
+    renderAssessmentSubjects();
+
+    elements.deadlineList.replaceChildren(...upcoming.map(item => createDeadlineItem(item, today)));
+    elements.noDeadlines.classList.toggle('hidden', upcoming.length > 0);
+
+    elements.pastDeadlineList.replaceChildren(...past.map(item => createDeadlineItem(item, today)));
+    elements.pastDeadlines.classList.toggle('hidden', past.length === 0);
+}
+
+function addAssessment(raw) {
+    const item = Assessments.normalizeAssessment(raw);
+    if (!item) return false;
+
+    state.assessments = [...state.assessments, item].sort(Assessments.compareByDue);
+    saveAssessments();
+    renderCurrentView();
+    return true;
+}
+
+function removeAssessment(id) {
+    state.assessments = state.assessments.filter(item => item.id !== id);
+    saveAssessments();
+    renderCurrentView();
+}
+
+async function importAssessmentsFile(file) {
+    try {
+        const { section, items, skipped } = Assessments.parseAssessmentsFile(await file.text());
+        const result = Assessments.mergeAssessments(state.assessments, items);
+
+        state.assessments = result.items;
+        saveAssessments();
+        renderCurrentView();
+
+        const notes = [`Imported ${result.added} new, ${result.updated} updated`];
+        if (skipped) notes.push(`${skipped} invalid skipped`);
+        if (section && section !== state.profile.section) notes.push(`file is for ${section}`);
+        elements.assessmentStatus.textContent = `${notes.join(' • ')}.`;
+    } catch (error) {
+        console.warn('Failed to import assessments:', error);
+        elements.assessmentStatus.textContent = error.message;
+    }
+}
+
+function initAssessmentListeners() {
+    elements.assessmentType.replaceChildren(...Assessments.TYPES.map(type => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = Assessments.TYPE_LABELS[type];
+        return option;
+    }));
+
+    elements.assessmentForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const added = addAssessment({
+            subject: elements.assessmentSubject.value,
+            type: elements.assessmentType.value,
+            title: elements.assessmentTitle.value,
+            due: elements.assessmentDue.value,
+            time: elements.assessmentTime.value
+        });
+
+        if (added) {
+            elements.assessmentTitle.value = '';
+            elements.assessmentStatus.textContent = '';
+        } else {
+            elements.assessmentStatus.textContent = 'Pick a subject and a due date.';
+        }
+    });
+
+    elements.exportAssessments.addEventListener('click', () => {
+        const json = Assessments.serializeAssessments(state.assessments, { section: state.profile.section });
+        downloadFile(`${state.profile.section}-assessments.json`, json, 'application/json');
+    });
+
+    elements.importAssessments.addEventListener('change', (e) => {
+        const [file] = e.target.files;
+        if (file) importAssessmentsFile(file);
+        e.target.value = '';
+    });
+}
+
+// ========================================
+// Attendance
+// ========================================
+
+function loadAttendance(profile) {
+    try {
+        const log = JSON.parse(localStorage.getItem(getCacheKeys(profile).attendance) || '{}');
+        return log && typeof log === 'object' && !Array.isArray(log) ? log : {};
+    } catch (error) {
+        console.warn('Failed to load attendance:', error);
+        return {};
+    }
+}
+
+function saveAttendance() {
+    try {
+        localStorage.setItem(getCacheKeys(state.profile).attendance, JSON.stringify(state.attendance));
+    } catch (error) {
+        console.warn('Failed to save attendance:', error);
+    }
+}
+
+function loadAttendanceThreshold() {
+    try {
+        const saved = Number(localStorage.getItem(CONFIG.ATTENDANCE_THRESHOLD_KEY));
+        return saved > 0 && saved <= 100 ? saved : CONFIG.ATTENDANCE_THRESHOLD;
+    } catch (error) {
+        console.warn('Failed to load attendance threshold:', error);
+        return CONFIG.ATTENDANCE_THRESHOLD;
+    }
+}
+
+function saveAttendanceThreshold() {
+    try {
+        localStorage.setItem(CONFIG.ATTENDANCE_THRESHOLD_KEY, String(state.attendanceThreshold));
+    } catch (error) {
+        console.warn('Failed to save attendance threshold:', error);
+    }
+}
+
+/**
+ * Sessions from the semester start up to now, and every session the semester plans
+ * Today's classes count once they have started
+ */
+function getAttendanceSessions() {
+    const { start, end } = state.calendar;
+    const today = toDateInputValue(new Date());
+    const range = { start, end, calendar: state.calendar, reportedWeek: SemesterCalendar.getWeekStart(today) };
+    const past = today <= end
+        ? Attendance.listSessions(state.schedule, { ...range, end: today, minutes: getCurrentMinutes() })
+        : Attendance.listSessions(state.schedule, range);
+
+    return { past, planned: Attendance.listSessions(state.schedule, range) };
+}
+
+/**
+ * Carry this week's cancellations from the sheet into the log before the sheet moves on
+ */
+function recordSheetCancellations() {
+    const weekStart = SemesterCalendar.getWeekStart(toDateInputValue(new Date()));
+    const weekSessions = Attendance.listSessions(state.schedule, {
+        start: weekStart,
+        end: SemesterCalendar.addDays(weekStart, 6),
+        calendar: state.calendar,
+        reportedWeek: weekStart
+    });
+
+    const { log, changed } = Attendance.applySheetCancellations(state.attendance, weekSessions);
+    if (!changed) return;
+
+    state.attendance = log;
+    saveAttendance();
+}
+
+function markSession(id, status) {
+    const next = { ...state.attendance };
+    if (next[id]?.status === status) {
+        delete next[id];
+    } else {
+        next[id] = { status };
+    }
+
+    state.attendance = next;
+    saveAttendance();
+    renderCurrentView();
+}
+
+function describeAttendanceStanding(entry, threshold) {
+    const notes = [];
+    if (entry.level === 'shortage') {
+        const over = -entry.absencesLeft;
+        notes.push(`${over} ${over === 1 ? 'absence' : 'absences'} over the ${threshold}% limit`);
+    } else {
+        if (entry.percentage !== null && entry.percentage < threshold) notes.push(`Below ${threshold}% so far`);
+        notes.push(entry.absencesLeft === 0
+            ? 'No more absences allowed'
+            : `Can miss ${entry.absencesLeft} more ${entry.absencesLeft === 1 ? 'class' : 'classes'}`);
+    }
+    if (entry.unmarked > 0) notes.push(`${entry.unmarked} not marked`);
+    return notes.join(' • ');
+}
+
+function createAttendanceSummaryItem(entry, threshold) {
+    const item = document.createElement('li');
+    item.className = `attendance-subject level-${entry.level}`;
+
+    const details = document.createElement('div');
+    details.className = 'deadline-details';
+    const subject = document.createElement('span');
+    subject.className = 'deadline-title';
+    subject.textContent = entry.subject;
+    const standing = document.createElement('span');
+    standing.className = 'deadline-subject';
+    standing.textContent = describeAttendanceStanding(entry, threshold);
+    details.append(subject, standing);
+
+    const score = document.createElement('div');
+    score.className = 'attendance-score';
+    const percentage = document.createElement('span');
+    percentage.className = 'attendance-percentage';
+    percentage.textContent = entry.percentage === null ? '–' : `${Math.floor(entry.percentage)}%`;
+    const counts = document.createElement('span');
+    counts.className = 'deadline-subject';
+    counts.textContent = `${entry.present}/${entry.present + entry.absent} attended`;
+    score.append(percentage, counts);
+
+    item.append(details, score);
+    return item;
+}
+
+function createSessionItem(session) {
+    const entry = state.attendance[session.id];
+    const status = Attendance.getSessionStatus(session, state.attendance);
+
+    const item = document.createElement('li');
+    item.className = `attendance-session status-${status}`;
+    item.dataset.sessionId = session.id;
+
+    const when = document.createElement('div');
+    when.className = 'deadline-when';
+    const date = document.createElement('span');
+    date.className = 'deadline-date';
+    date.textContent = formatShortDate(session.date);
+    const time = document.createElement('span');
+    time.className = 'deadline-left';
+    time.textContent = session.time;
+    when.append(date, time);
+
+    const details = document.createElement('div');
+    details.className = 'deadline-details';
+    const subject = document.createElement('span');
+    subject.className = 'deadline-title';
+    subject.textContent = session.subject;
+    const room = document.createElement('span');
+    room.className = 'deadline-subject';
+    room.textContent = entry?.auto ? `${session.room} • Cancelled on the sheet` : session.room;
+    details.append(subject, room);
+
+    const marks = document.createElement('div');
+    marks.className = 'attendance-marks';
+    marks.setAttribute('role', 'group');
+    marks.setAttribute('aria-label', `Attendance for ${session.subject} on ${formatShortDate(session.date)}`);
+    marks.append(...Attendance.STATUSES.map(value => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `attendance-mark mark-${value}`;
+        button.dataset.status = value;
+        button.setAttribute('aria-pressed', String(status === value));
+        button.textContent = Attendance.STATUS_LABELS[value];
+        return button;
+    }));
+
+    item.append(when, details, marks);
+    return item;
+}
+
+function renderAttendanceView() {
+    const { past, planned } = getAttendanceSessions();
+    const threshold = state.attendanceThreshold;
+    const summary = Attendance.summarizeAttendance(past, state.attendance, { threshold, plannedSessions: planned });
+
+    // Most recent first, since that is what needs marking
+    const recent = [...past].reverse();
+    const unmarked = recent.filter(session => !state.attendance[session.id]);
+    const marked = recent.filter(session => state.attendance[session.id]);
+
+    elements.attendanceThreshold.value = threshold;
+    elements.attendanceSummary.replaceChildren(...summary.map(entry => createAttendanceSummaryItem(entry, threshold)));
+
+    elements.unmarkedSessions.replaceChildren(...unmarked.map(createSessionItem));
+    elements.noUnmarkedSessions.classList.toggle('hidden', unmarked.length > 0);
+
+    elements.markedSessionList.replaceChildren(...marked.map(createSessionItem));
+    elements.markedSessionCount.textContent = marked.length;
+    elements.markedSessions.classList.toggle('hidden', marked.length === 0);
+
+    const atRisk = summary.filter(entry => entry.level !== 'ok').length;
+    elements.attendanceStatus.textContent = past.length === 0
+        ? 'No classes have been held yet this semester.'
+        : `${past.length} sessions since ${formatShortDate(state.calendar.start)}` +
+          (atRisk ? ` • ${atRisk} ${atRisk === 1 ? 'course' : 'courses'} near or below ${threshold}%` : '');
+}
+
+function initAttendanceListeners() {
+    elements.viewAttendance.addEventListener('click', (e) => {
+        const button = e.target.closest('.attendance-mark');
+        if (!button) return;
+        markSession(button.closest('.attendance-session').dataset.sessionId, button.dataset.status);
+    });
+
+    elements.attendanceThreshold.addEventListener('change', () => {
+        const value = Math.round(Number(elements.attendanceThreshold.value));
+        if (value > 0 && value <= 100) {
+            state.attendanceThreshold = value;
+            saveAttendanceThreshold();
+        }
+        renderCurrentView();
+    });
+
+    elements.exportAttendance.addEventListener('click', () => {
+        const csv = Attendance.attendanceToCsv(getAttendanceSessions().past, state.attendance);
+        downloadFile(`${state.profile.section}-attendance.csv`, csv, 'text/csv;charset=utf-8');
+    });
+}
+
+// ========================================
+// Calendar Export
+// ========================================
+
+function toDateInputValue(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function downloadFile(filename, contents, type) {
+    const blob = new Blob([contents], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Download the schedule as an .ics file spanning the semester calendar, which also decides the
+ * holidays, exam weeks and swapped days the weekly classes follow
+ */
+function exportCalendar() {
+    const events = ScheduleCore.toCalendarEvents(state.schedule, {
+        section: state.profile.section,
+        defaultMinutes: CONFIG.DEFAULT_CLASS_MINUTES
+    });
+    const ics = ICalendar.buildCalendar(events, {
+        name: `${state.profile.section} Schedule • ${CONFIG.SEMESTER_LABEL}`,
+        semesterStart: state.calendar.start,
+        semesterEnd: state.calendar.end,
+        calendar: state.calendar,
+        referenceDate: toDateInputValue(new Date()),
+        timezone: CONFIG.TIMEZONE,
+        uidDomain: `${state.profile.section.toLowerCase()}.se-schedule`
+    });
+
+    downloadFile(`${state.profile.section}-schedule.ics`, ics, 'text/calendar;charset=utf-8');
+}
+
+function openExportPanel() {
+    const fromCalendar = calendarSetsBounds();
+    elements.semesterStart.value = state.calendar.start;
+    elements.semesterEnd.value = state.calendar.end;
+    elements.semesterStart.disabled = fromCalendar;
+    elements.semesterEnd.disabled = fromCalendar;
+    elements.exportRange.textContent = fromCalendar
+        ? `${state.calendar.label} dates come from the semester calendar.`
+        : 'No semester calendar gives these dates, so attendance counts from them too.';
+    elements.exportStatus.textContent = '';
+    openSettingsPanel(elements.exportPanel, elements.exportBtn);
+}
+
+function initExportListeners() {
+    elements.exportBtn.addEventListener('click', () => {
+        if (elements.exportPanel.classList.contains('hidden')) {
+            openExportPanel();
+        } else {
+            closeSettingsPanel(elements.exportPanel, elements.exportBtn);
+        }
+    });
+
+    elements.exportForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+
+        if (!state.schedule.length) {
+            elements.exportStatus.textContent = 'No classes loaded yet.';
+            return;
+        }
+
+        if (!calendarSetsBounds()) {
+            const dates = { start: elements.semesterStart.value, end: elements.semesterEnd.value };
+            if (dates.end < dates.start) {
+                elements.exportStatus.textContent = 'The semester cannot end before it starts.';
+                return;
+            }
+            saveSemesterDates(dates);
+            applyCalendar(state.calendarSource);
+            updateUI();
+        }
+
+        try {
+            exportCalendar();
+            elements.exportStatus.textContent = `Exported ${state.schedule.length} classes.`;
+        } catch (error) {
+            console.warn('Calendar export failed:', error);
+            elements.exportStatus.textContent = error.message;
+        }
+    });
+}
+
+// ========================================
+// Printable Timetable
+// ========================================
+
+// Fixed light palette so images look the same whatever the screen theme
+const IMAGE_COLORS = {
+    background: '#ffffff',
+    text: '#0f172a',
+    muted: '#475569',
+    grid: '#e2e8f0',
+    header: '#6366f1',
+    lecture: 'rgba(99, 102, 241, 0.1)',
+    lab: 'rgba(249, 115, 22, 0.1)',
+    // --subject-1 to --subject-8 from the light theme in index.css
+    subjects: ['#6366f1', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316', '#06b6d4', '#84cc16', '#eab308']
+};
+
+const IMAGE_LAYOUT = {
+    width: 1400,
+    scale: 2,
+    padding: 32,
+    titleHeight: 64,
+    dayHeaderHeight: 32,
+    timeColumnWidth: 72,
+    minuteHeight: 1.2,
+    legendRowHeight: 22,
+    font: 'Inter, system-ui, sans-serif'
+};
+
+/**
+ * Subjects in the schedule with their palette color, rooms and teachers
+ * @returns {Array<{subject: string, colorIndex: number, rooms: string[], teachers: string[]}>}
+ */
+function getSubjectLegend() {
+    const subjects = new Map();
+
+    for (const cls of state.schedule) {
+        if (!cls.subject) continue;
+        if (!subjects.has(cls.subject)) {
+            subjects.set(cls.subject, { rooms: new Set(), teachers: new Set() });
+        }
+        const entry = subjects.get(cls.subject);
+        if (cls.room) entry.rooms.add(cls.room);
+        if (cls.teacher) entry.teachers.add(cls.teacher);
+    }
+
+    return [...subjects.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([subject, { rooms, teachers }]) => ({
+            subject,
+            colorIndex: getSubjectColorIndex(subject),
+            rooms: [...rooms],
+            teachers: [...teachers]
+        }));
+}
+
+function describeLegendEntry(entry) {
+    return [entry.rooms.join(', '), entry.teachers.join(', ')].filter(Boolean).join(' • ');
+}
+
+function getTimetableTitle() {
+    return `${state.profile.section} Weekly Timetable • ${CONFIG.SEMESTER_LABEL}`;
+}
+
+/**
+ * Where the printed data came from and how fresh it is
+ */
+function describeDataSnapshot() {
+    const updated = state.lastUpdated
+        ? state.lastUpdated.toLocaleString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        })
+        : 'not loaded yet';
+    const freshness = state.dataSource === 'live' ? '' : ` (${state.dataSource} copy)`;
+    return `Source: ${getDataSource().label}${freshness} • Data as of ${updated}`;
+}
+
+function createLegendItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'subject-legend-item';
+
+    const swatch = document.createElement('span');
+    swatch.className = 'subject-swatch';
+    swatch.style.background = `var(--subject-${entry.colorIndex})`;
+
+    const name = document.createElement('span');
+    name.className = 'subject-legend-name';
+    name.textContent = entry.subject;
+
+    const details = document.createElement('span');
+    details.className = 'subject-legend-details';
+    details.textContent = describeLegendEntry(entry);
+
+    item.append(swatch, name, details);
+    return item;
+}
+
+/**
+ * Fill the week view's print header and legend and draw the grid, whichever view is showing;
+ * the print stylesheet then shows only the week view
+ */
+function preparePrintLayout() {
+    // The printout is the semester timetable, whichever week is on screen
+    renderWeekView({ timetable: true });
+
+    // About 520px of a landscape A4 page is left for the grid body after the header and legend
+    const axisMinutes = elements.weekGrid.dataset.axisEnd - elements.weekGrid.dataset.axisStart;
+    elements.weekGrid.style.setProperty('--print-minute-height', `${Math.min(1, 520 / axisMinutes)}px`);
+
+    elements.printTitle.textContent = getTimetableTitle();
+    elements.printMeta.textContent = describeDataSnapshot();
+    elements.subjectLegend.replaceChildren(...getSubjectLegend().map(createLegendItem));
+}
+
+function truncateText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+
+    let end = text.length;
+    while (end > 0 && ctx.measureText(`${text.slice(0, end)}…`).width > maxWidth) {
+        end--;
+    }
+    return end > 0 ? `${text.slice(0, end)}…` : '';
+}
+
+function drawImageBlock(ctx, { cls, range }, layout, column) {
+    const { minuteHeight, font } = IMAGE_LAYOUT;
+    const laneWidth = column.width / layout.lanes;
+    const x = column.x + layout.lane * laneWidth + 2;
+    const y = column.top + (range.start - column.axisStart) * minuteHeight + 1;
+    const width = laneWidth - 4;
+    const height = (range.end - range.start) * minuteHeight - 2;
+
+    ctx.fillStyle = cls.isLab ? IMAGE_COLORS.lab : IMAGE_COLORS.lecture;
+    ctx.fillRect(x, y, width, height);
+    ctx.fillStyle = column.palette[getSubjectColorIndex(cls.subject) - 1];
+    ctx.fillRect(x, y, 4, height);
+
+    const lines = [
+        { text: cls.subject || 'Unknown', font: `600 12px ${font}`, color: IMAGE_COLORS.text },
+        { text: `${ScheduleTime.formatClock(range.start)} – ${ScheduleTime.formatClock(range.end)}`, font: `400 11px ${font}`, color: IMAGE_COLORS.muted },
+        { text: cls.room, font: `400 11px ${font}`, color: IMAGE_COLORS.muted },
+        { text: cls.teacher, font: `400 11px ${font}`, color: IMAGE_COLORS.muted },
+        { text: cls.status !== 'normal' ? cls.status.toUpperCase() : '', font: `700 10px ${font}`, color: IMAGE_COLORS.text }
+    ].filter(line => line.text);
+
+    let lineY = y + 4;
+    for (const line of lines) {
+        if (lineY + 14 > y + height) break;
+        ctx.font = line.font;
+        ctx.fillStyle = line.color;
+        ctx.fillText(truncateText(ctx, line.text, width - 12), x + 8, lineY);
+        lineY += 15;
+    }
+
+    if (cls.status === 'cancelled') {
+        ctx.font = lines[0].font;
+        ctx.strokeStyle = IMAGE_COLORS.muted;
+        ctx.beginPath();
+        ctx.moveTo(x + 8, y + 11);
+        ctx.lineTo(x + 8 + Math.min(width - 12, ctx.measureText(cls.subject || '').width), y + 11);
+        ctx.stroke();
+    }
+}
+
+/**
+ * Draw the week grid, legend and data snapshot on a canvas, mirroring the print layout
+ * @returns {HTMLCanvasElement}
+ */
+function drawWeekImage() {
+    const { width, scale, padding, titleHeight, dayHeaderHeight, timeColumnWidth, minuteHeight, legendRowHeight, font } = IMAGE_LAYOUT;
+    const placed = getPlacedClasses();
+    const axis = getWeekAxis(placed.map(entry => entry.range));
+    const legend = getSubjectLegend();
+    const palette = IMAGE_COLORS.subjects;
+
+    const gridTop = padding + titleHeight;
+    const bodyTop = gridTop + dayHeaderHeight;
+    const bodyHeight = (axis.end - axis.start) * minuteHeight;
+    const legendTop = bodyTop + bodyHeight + 24;
+    const height = legendTop + Math.ceil(legend.length / 2) * legendRowHeight + padding;
+    const dayWidth = (width - padding * 2 - timeColumnWidth) / CONFIG.DAYS.length;
+    const gridLeft = padding + timeColumnWidth;
+    const gridRight = width - padding;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.textBaseline = 'top';
+
+    ctx.fillStyle = IMAGE_COLORS.background;
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.fillStyle = IMAGE_COLORS.text;
+    ctx.font = `700 22px ${font}`;
+    ctx.fillText(getTimetableTitle(), padding, padding);
+    ctx.fillStyle = IMAGE_COLORS.muted;
+    ctx.font = `400 13px ${font}`;
+    ctx.fillText(describeDataSnapshot(), padding, padding + 32);
+
+    ctx.fillStyle = IMAGE_COLORS.header;
+    ctx.fillRect(padding, gridTop, width - padding * 2, dayHeaderHeight);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `600 13px ${font}`;
+    ctx.textAlign = 'center';
+    CONFIG.DAYS.forEach((day, i) => {
+        ctx.fillText(day, gridLeft + dayWidth * (i + 0.5), gridTop + 10);
+    });
+
+    ctx.strokeStyle = IMAGE_COLORS.grid;
+    ctx.lineWidth = 1;
+    ctx.fillStyle = IMAGE_COLORS.muted;
+    ctx.font = `600 11px ${font}`;
+    ctx.textAlign = 'right';
+    for (let minutes = axis.start; minutes <= axis.end; minutes += 60) {
+        const y = bodyTop + (minutes - axis.start) * minuteHeight;
+        ctx.beginPath();
+        ctx.moveTo(padding, y);
+        ctx.lineTo(gridRight, y);
+        ctx.stroke();
+        if (minutes < axis.end) {
+            ctx.fillText(ScheduleTime.formatClock(minutes), gridLeft - 8, y + 3);
+        }
+    }
+    for (let i = 0; i <= CONFIG.DAYS.length; i++) {
+        const x = gridLeft + dayWidth * i;
+        ctx.beginPath();
+        ctx.moveTo(x, bodyTop);
+        ctx.lineTo(x, bodyTop + bodyHeight);
+        ctx.stroke();
+    }
+
+    ctx.textAlign = 'left';
+    CONFIG.DAYS.forEach((day, i) => {
+        const entries = placed.filter(entry => entry.cls.day === day);
+        const lanes = ScheduleTime.assignLanes(entries.map(entry => entry.range));
+        const column = { x: gridLeft + dayWidth * i, width: dayWidth, top: bodyTop, axisStart: axis.start, palette };
+        entries.forEach((entry, j) => drawImageBlock(ctx, entry, lanes[j], column));
+    });
+
+    const legendColumnWidth = (width - padding * 2) / 2;
+    legend.forEach((entry, i) => {
+        const x = padding + (i % 2) * legendColumnWidth;
+        const y = legendTop + Math.floor(i / 2) * legendRowHeight;
+
+        ctx.fillStyle = palette[entry.colorIndex - 1];
+        ctx.fillRect(x, y + 2, 12, 12);
+
+        ctx.fillStyle = IMAGE_COLORS.text;
+        ctx.font = `600 12px ${font}`;
+        const name = truncateText(ctx, entry.subject, legendColumnWidth / 2);
+        ctx.fillText(name, x + 20, y + 2);
+
+        const nameWidth = ctx.measureText(name).width;
+        ctx.fillStyle = IMAGE_COLORS.muted;
+        ctx.font = `400 12px ${font}`;
+        ctx.fillText(truncateText(ctx, describeLegendEntry(entry), legendColumnWidth - nameWidth - 40), x + 28 + nameWidth, y + 2);
+    });
+
+    return canvas;
+}
+
+async function downloadWeekImage() {
+    // The canvas only draws in Inter once the web font has loaded
+    await document.fonts?.ready;
+    const canvas = drawWeekImage();
+    const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob(result => (result ? resolve(result) : reject(new Error('The image could not be created.'))), 'image/png');
+    });
+    downloadFile(`${state.profile.section.toLowerCase()}-timetable.png`, blob, 'image/png');
+}
+
+function initPrintListeners() {
+    // Covers the browser's own print command as well as the button
+    window.addEventListener('beforeprint', preparePrintLayout);
+    window.addEventListener('afterprint', renderCurrentView);
+
+    elements.printTimetable.addEventListener('click', () => {
+        if (!state.schedule.length) {
+            elements.exportStatus.textContent = 'No classes loaded yet.';
+            return;
+        }
+        window.print();
+    });
+
+    elements.downloadImage.addEventListener('click', async () => {
+        if (!state.schedule.length) {
+            elements.exportStatus.textContent = 'No classes loaded yet.';
+            return;
+        }
+
+        try {
+            await downloadWeekImage();
+            elements.exportStatus.textContent = 'Timetable image downloaded.';
+        } catch (error) {
+            console.warn('Image export failed:', error);
+            elements.exportStatus.textContent = error.message;
+        }
+    });
+}
+
+// ========================================
+// Data Source
+// ========================================
+
+/**
+ * The saved data source; an uploaded file only lives in memory, so it is never restored
+ */
+function loadSourceType() {
+    try {
+        const type = localStorage.getItem(CONFIG.DATA_SOURCE_KEY);
+        return type in DATA_SOURCES && type !== 'file' ? type : DEFAULT_SOURCE_TYPE;
+    } catch (error) {
+        console.warn('Failed to load data source:', error);
+        return DEFAULT_SOURCE_TYPE;
+    }
+}
+
+function saveSourceType(type) {
+    try {
+        localStorage.setItem(CONFIG.DATA_SOURCE_KEY, type);
+    } catch (error) {
+        console.warn('Failed to save data source:', error);
+    }
+}
+
+/**
+ * Read a .json recording or an .xlsx export into grid data by sheet name
+ */
+async function readTimetableFile(file) {
+    if (/\.xlsx$/i.test(file.name)) {
+        return SheetSources.readXlsx(await file.arrayBuffer());
+    }
+    return SheetSources.readRecordedSheets(await file.text());
+}
+
+function renderSourcePanel() {
+    setSelectOptions(
+        elements.sourceType,
+        Object.entries(DATA_SOURCES).map(([value, { label }]) => ({ value, label })),
+        state.sourceType
+    );
+    elements.sourceType.value = state.sourceType;
+    elements.sourceFile.closest('.settings-field').classList.toggle('hidden', state.sourceType !== 'file');
+}
+
+function initSourceListeners() {
+    elements.sourceBtn.addEventListener('click', () => {
+        if (elements.sourcePanel.classList.contains('hidden')) {
+            elements.sourceStatus.textContent = '';
+            renderSourcePanel();
+            openSettingsPanel(elements.sourcePanel, elements.sourceBtn);
+        } else {
+            closeSettingsPanel(elements.sourcePanel, elements.sourceBtn);
+        }
+    });
+
+    elements.sourceType.addEventListener('change', () => {
+        elements.sourceFile.closest('.settings-field').classList.toggle('hidden', elements.sourceType.value !== 'file');
+    });
+
+    elements.sourceForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const type = elements.sourceType.value;
+        const file = elements.sourceFile.files[0];
+
+        if (type === 'file') {
+            if (!file && !state.uploadedSheets) {
+                elements.sourceStatus.textContent = 'Choose a .json or .xlsx timetable file.';
+                return;
+            }
+            if (file) {
+                try {
+                    state.uploadedSheets = await readTimetableFile(file);
+                } catch (error) {
+                    console.warn('Timetable file could not be read:', error);
+                    elements.sourceStatus.textContent = error.message;
+                    return;
+                }
+            }
+        }
+
+        state.sourceType = type;
+        // After a reload the file is gone, so the app goes back to the last saved source
+        if (type !== 'file') saveSourceType(type);
+        elements.sourceStatus.textContent = `Loading from ${getDataSource().label}…`;
+        refreshCalendar();
+        await fetchSchedule();
+        elements.sourceStatus.textContent = state.dataSource === 'live'
+            ? `Loaded ${state.sheetSchedule.length} classes from ${getDataSource().label}.`
+            : `Nothing could be read from ${getDataSource().label}; showing the last saved schedule.`;
+    });
+}
+
+// ========================================
+// Parse Diagnostics
+// ========================================
+
+const NEAR_MISS_LABELS = {
+    'wrong-color': 'Wrong color',
+    'no-section': 'No section',
+    'bad-time': 'Bad time'
+};
+
+function getDiagnosticIssueCount(diagnostics) {
+    if (!diagnostics) return 0;
+    if (diagnostics.error) return 1;
+    return Object.values(diagnostics.days).reduce((count, result) => {
+        if (!result.ok) return count + 1;
+        const report = result.diagnostics;
+        return count + (report ? report.nearMisses.length + (report.headerFound ? 0 : 1) : 0);
+    }, 0);
+}
+
+function setDiagnostics(diagnostics) {
+    state.diagnostics = diagnostics;
+
+    const issues = getDiagnosticIssueCount(diagnostics);
+    elements.diagnosticsBadge.textContent = issues > 99 ? '99+' : String(issues);
+    elements.diagnosticsBadge.classList.toggle('hidden', issues === 0);
+
+    if (!elements.diagnosticsPanel.classList.contains('hidden')) {
+        renderDiagnosticsPanel();
+    }
+
+    updateSourceWarning(diagnostics);
+}
+
+/**
+ * Warn in the main view when the tabs came without cell colors: the batch color cannot filter
+ * them, so every batch's classes with the section marker are in the schedule
+ */
+function updateSourceWarning(diagnostics) {
+    const loaded = Object.values(diagnostics?.days || {}).filter(result => result.ok && result.diagnostics);
+    const colorless = loaded.length > 0 && loaded.every(result => !result.diagnostics.colorsChecked);
+
+    elements.sourceWarning.classList.toggle('hidden', !colorless);
+    if (!colorless) return;
+
+    const fix = DATA_SOURCES.proxy ? ' Switch the data source to the schedule proxy to filter by batch.' : '';
+    elements.sourceWarning.textContent = `⚠️ ${diagnostics.source} has no cell colors, so classes of every batch ` +
+        `marked (${state.profile.section}) are shown, not just batch ${state.profile.color}.${fix}`;
+}
+
+function describeDayResult(result) {
+    if (!result) return 'Not fetched';
+    if (!result.ok) return `Failed: ${result.error}`;
+
+    const report = result.diagnostics;
+    if (report && !report.headerFound) return 'No time header row in the first 10 rows';
+
+    const parts = [`${result.classes} ${result.classes === 1 ? 'class' : 'classes'}`];
+    if (report) {
+        parts.push(`${report.rooms} rooms × ${report.slots} slots`);
+        if (report.nearMisses.length > 0) {
+            parts.push(`${report.nearMisses.length} near ${report.nearMisses.length === 1 ? 'miss' : 'misses'}`);
+        }
+        if (!report.colorsChecked) parts.push('no cell colors, matched on section text');
+    }
+    return parts.join(' • ');
+}
+
+function createDiagnosticDayItem(day, result) {
+    const item = document.createElement('li');
+    item.className = 'diagnostics-day';
+    item.classList.toggle('failed', !result?.ok || result.diagnostics?.headerFound === false);
+
+    const name = document.createElement('span');
+    name.className = 'diagnostics-day-name';
+    name.textContent = day;
+
+    const detail = document.createElement('span');
+    detail.className = 'diagnostics-day-detail';
+    detail.textContent = describeDayResult(result);
+
+    item.append(name, detail);
+    return item;
+}
+
+function createNearMissItem(day, miss) {
+    const item = document.createElement('li');
+    item.className = `change-item near-miss near-miss-${miss.rule}`;
+
+    const rule = document.createElement('span');
+    rule.className = 'change-type';
+    rule.textContent = NEAR_MISS_LABELS[miss.rule] || miss.rule;
+
+    const where = document.createElement('span');
+    where.className = 'change-subject';
+    where.textContent = [day, miss.room || 'Header row', miss.time].filter(Boolean).join(' • ');
+
+    const content = document.createElement('span');
+    content.className = 'near-miss-content';
+    content.textContent = miss.content;
+
+    const detail = document.createElement('span');
+    detail.className = 'change-detail';
+    detail.textContent = miss.detail;
+
+    item.append(rule, where, content, detail);
+    return item;
+}
+
+function renderDiagnosticsPanel() {
+    const diagnostics = state.diagnostics;
+
+    if (!diagnostics) {
+        elements.diagnosticsSummary.textContent = 'No fetch has finished yet in this session.';
+        elements.diagnosticsDays.replaceChildren();
+        elements.diagnosticsMisses.replaceChildren();
+        return;
+    }
+
+    const checkedAt = diagnostics.checkedAt.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    const loaded = Object.values(diagnostics.days).filter(result => result.ok).length;
+    elements.diagnosticsSummary.textContent = diagnostics.error
+        ? `${diagnostics.source} failed at ${checkedAt}: ${diagnostics.error}`
+        : `${diagnostics.source} • checked at ${checkedAt} • ${loaded} of ${CONFIG.SHEET_NAMES.length} days loaded`;
+
+    elements.diagnosticsDays.replaceChildren(
+        ...CONFIG.SHEET_NAMES.map(day => createDiagnosticDayItem(day, diagnostics.days[day]))
+    );
+
+    const misses = CONFIG.SHEET_NAMES.flatMap(day =>
+        (diagnostics.days[day]?.diagnostics?.nearMisses || []).map(miss => createNearMissItem(day, miss))
+    );
+    if (misses.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'settings-hint';
+        empty.textContent = `No near misses: every cell marked (${state.profile.section}) in the batch color was read.`;
+        elements.diagnosticsMisses.replaceChildren(empty);
+    } else {
+        const list = document.createElement('ul');
+        list.className = 'change-list';
+        list.append(...misses);
+        elements.diagnosticsMisses.replaceChildren(list);
+    }
+}
+
+function initDiagnosticsListeners() {
+    elements.diagnosticsBtn.addEventListener('click', () => {
+        if (elements.diagnosticsPanel.classList.contains('hidden')) {
+            renderDiagnosticsPanel();
+            openSettingsPanel(elements.diagnosticsPanel, elements.diagnosticsBtn);
+        } else {
+            closeSettingsPanel(elements.diagnosticsPanel, elements.diagnosticsBtn);
+        }
+    });
+}
+
+// ========================================
+// Live Status
+// ========================================
+
+/**
+ * Fill a progress bar with how far `now` is from `start` to `end`
+ */
+function setProgress(bar, start, end, now) {
+    const percent = Math.round(Math.min(1, Math.max(0, (now - start) / (end - start))) * 100);
+    bar.querySelector('.progress-fill').style.width = `${percent}%`;
+    bar.setAttribute('aria-valuenow', percent);
+}
+
+function createProgressBar(start, end, now) {
+    const bar = document.createElement('span');
+    bar.className = 'progress-bar';
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-valuemin', 0);
+    bar.setAttribute('aria-valuemax', 100);
+    bar.append(Object.assign(document.createElement('span'), { className: 'progress-fill' }));
+    setProgress(bar, start, end, now);
+    return bar;
+}
+
+function createLiveText(text) {
+    return Object.assign(document.createElement('span'), { className: 'live-text', textContent: text });
+}
+
+/**
+ * Mark the today view's classes and free periods as past, in progress or next, with a
+ * progress bar on the class in session and countdowns to the next class
+ */
+function updateLiveStatus() {
+    const now = getCurrentMinutes();
+    const items = [...elements.todayCards.querySelectorAll('[data-start]')];
+    const next = items.find(item => item.classList.contains('schedule-card') && Number(item.dataset.start) > now);
+
+    for (const item of items) {
+        const start = Number(item.dataset.start);
+        const end = Number(item.dataset.end);
+        const isLive = start <= now && now < end;
+        const isFree = item.classList.contains('free-period');
+
+        item.classList.toggle('is-past', end <= now);
+        item.classList.toggle('is-live', isLive);
+        item.classList.toggle('is-next', item === next);
+
+        const slot = item.querySelector('.card-live');
+        slot.replaceChildren();
+        if (isLive && isFree) {
+            slot.append(createLiveText(`Free now • ${ScheduleTime.formatDuration(end - now)} until the next class`));
+        } else if (isLive) {
+            slot.append(createProgressBar(start, end, now), createLiveText(`${ScheduleTime.formatDuration(end - now)} left`));
+        } else if (item === next) {
+            slot.append(createLiveText(`Starts in ${ScheduleTime.formatDuration(start - now)}`));
+        }
+    }
+}
+
+/**
+ * Tick on every minute boundary to keep the countdowns and the week grid's now line current,
+ * re-rendering everything once the date changes. Independent of startAutoRefresh, which refetches the sheet
+ */
+function startClock() {
+    const tick = () => {
+        if (state.isLoading || state.error) return;
+        if (toDateInputValue(new Date()) !== state.clockDate) {
+            updateUI();
+            return;
+        }
+        updateTodayInfo();
+        updateLiveStatus();
+        updateNowLine();
+    };
+
+    setTimeout(() => {
+        tick();
+        setInterval(tick, CONFIG.CLOCK_INTERVAL);
+    }, CONFIG.CLOCK_INTERVAL - (Date.now() % CONFIG.CLOCK_INTERVAL));
+}
+
+// ========================================
+// Auto Refresh
+// ========================================
+
+function startAutoRefresh() {
+    setInterval(() => {
+        console.log('🔄 Auto-refreshing schedule...');
+        fetchSchedule();
+    }, CONFIG.REFRESH_INTERVAL);
+}
+
+// ========================================
+// Offline Support
+// ========================================
+
+/**
+ * Register the service worker that precaches the app shell
+ * The worker posts a SYNC_TAG message when a background sync fires
+ */
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data?.type === CONFIG.SYNC_TAG) {
+            console.log('🔄 Background sync: refreshing schedule...');
+            fetchSchedule();
+        }
+    });
+
+    try {
+        const registration = await navigator.serviceWorker.register(CONFIG.SERVICE_WORKER_URL);
+        console.log('📦 Service worker registered');
+
+        // Periodic sync is only granted to installed apps in some browsers
+        if ('periodicSync' in registration) {
+            await registration.periodicSync.register(CONFIG.SYNC_TAG, {
+                minInterval: CONFIG.REFRESH_INTERVAL
+            });
+        }
+    } catch (error) {
+        console.warn('Service worker setup incomplete:', error.message);
+    }
+}
+
+/**
+ * Ask the service worker to trigger a refresh once connectivity returns
+ */
+async function requestBackgroundSync() {
+    try {
+        const registration = await navigator.serviceWorker?.ready;
+        if (registration && 'sync' in registration) {
+            await registration.sync.register(CONFIG.SYNC_TAG);
+        }
+    } catch (error) {
+        console.warn('Background sync unavailable:', error.message);
+    }
+}
+
+// ========================================
+// Initialize Application
+// ========================================
+
+async function init() {
+    console.log('🚀 Initializing BS SE Schedule App...');
+
+    initTheme();
+    initContrast();
+    applyCalendar(loadCachedCalendar());
+    initProfile();
+    refreshChangeHistory();
+    state.assessments = loadAssessments(state.profile);
+    state.attendance = loadAttendance(state.profile);
+    state.attendanceThreshold = loadAttendanceThreshold();
+    state.courses = loadCourseSelection(state.profile);
+    state.occupancy = loadCachedOccupancy();
+    state.sourceType = loadSourceType();
+    console.log(`📊 Using data source: ${getDataSource().label}`);
+    applyViewState(readViewFromUrl());
+    initEventListeners();
+    initProfileListeners();
+    initExportListeners();
+    initPrintListeners();
+    initChangesListeners();
+    initRemindersListeners();
+    initAssessmentListeners();
+    initAttendanceListeners();
+    initCoursesListeners();
+    initSourceListeners();
+    initDiagnosticsListeners();
+    registerServiceWorker();
+
+    if (showCachedSchedule()) {
+        console.log('📦 Showing cached schedule while refreshing');
+    }
+
+    refreshCalendar();
+    await fetchSchedule();
+    startAutoRefresh();
+    startClock();
+    window.addEventListener('online', fetchSchedule);
+
+    console.log('✅ App initialized!');
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
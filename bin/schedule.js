@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+/**
+ * Schedule CLI
+ * Prints a section's timetable or exports it, for scripts such as chat bots and cron digests.
+ * Reads the same sources as the app through the DOM-free modules in core/.
+ *
+ * Usage: node bin/schedule.js <today|week|next|export> [options]
+ */
+'use strict';
+
+const fs = require('node:fs');
+const { parseArgs } = require('node:util');
+
+const SheetSources = require('../core/sources.js');
+const ScheduleCore = require('../core/schedule.js');
+const ScheduleTime = require('../core/time.js');
+const SemesterCalendar = require('../core/calendar.js');
+const ICalendar = require('../core/ics.js');
+
+// ========================================
+// Configuration
+// ========================================
+const CONFIG = {
+    SHEET_ID: process.env.SHEET_ID || '1ZQJqdArlwCS965uw4sbJrB6j8rEPfZerMT7X8qkXSzY',
+    API_KEY: process.env.SHEETS_API_KEY || '',
+    PROXY_URL: process.env.SCHEDULE_PROXY_URL || '',
+
+    FACULTY_SHEET_NAME: 'Faculty',
+
+    DEFAULT_PROFILE: {
+        section: 'SE-C',
+        color: '#85200c',
+        tolerance: 0.05
+    },
+
+    SEMESTER_LABEL: 'Spring 2026',
+    SEMESTER_START: '2026-01-19',
+    SEMESTER_END: '2026-05-22',
+
+    // "Today" and "next" are worked out in the sheet's timezone, not the machine's
+    TIMEZONE: { id: 'Asia/Karachi', utcOffsetMinutes: 5 * 60 }
+};
+
+const USAGE = `Usage: node bin/schedule.js <command> [options]
+
+Commands:
+  today                  Classes for today (or --day)
+  week                   Every class, day by day
+  next                   The next class from now
+  export                 Print the schedule as --format json, csv or ics
+
+Options:
+  --section <code>       Section, default ${CONFIG.DEFAULT_PROFILE.section}
+  --color <hex>          Batch background color, default ${CONFIG.DEFAULT_PROFILE.color}
+  --tolerance <n>        Color tolerance, default ${CONFIG.DEFAULT_PROFILE.tolerance}
+  --day <name>           Day for "today", e.g. Monday
+  --format <type>        json, csv or ics (export only), default json
+  --start <YYYY-MM-DD>   Semester start for ics, default ${CONFIG.SEMESTER_START}
+  --end <YYYY-MM-DD>     Semester end for ics, default ${CONFIG.SEMESTER_END}
+  --calendar <path>      Semester calendar JSON (e.g. semester.json) so "today",
+                         "next" and ics skip holidays and exam weeks and follow
+                         swapped days; ics also takes its start and end from it
+  --source <type>        sheets, published, proxy or file
+  --file <path>          Read a .json recording or .xlsx export (implies --source file)
+  --proxy <url>          Schedule proxy base URL (implies --source proxy)
+  --out <path>           Write to a file instead of stdout
+  -h, --help             Show this help
+
+Environment: SHEETS_API_KEY, SCHEDULE_PROXY_URL, SHEET_ID`;
+
+class UsageError extends Error {}
+
+// ========================================
+// Loading
+// ========================================
+
+/**
+ * Pick the source from the flags, falling back to whatever the environment allows
+ */
+function resolveSource(options) {
+    if (options.source) return options.source;
+    if (options.file) return 'file';
+    if (options.proxy || CONFIG.PROXY_URL) return 'proxy';
+    return CONFIG.API_KEY ? 'sheets' : 'published';
+}
+
+function readCalendar(path) {
+    try {
+        return SemesterCalendar.normalizeCalendar(JSON.parse(fs.readFileSync(path, 'utf8')), {
+            label: CONFIG.SEMESTER_LABEL,
+            start: CONFIG.SEMESTER_START,
+            end: CONFIG.SEMESTER_END
+        });
+    } catch (error) {
+        throw new UsageError(`--calendar could not be read: ${error.message}`);
+    }
+}
+
+async function readFileSheets(path) {
+    if (/\.xlsx$/i.test(path)) {
+        return SheetSources.readXlsx(fs.readFileSync(path));
+    }
+    return SheetSources.readRecordedSheets(fs.readFileSync(path, 'utf8'));
+}
+
+async function loadFromProxy(baseUrl, profile) {
+    const params = new URLSearchParams({
+        section: profile.section,
+        color: profile.color,
+        tolerance: String(profile.tolerance)
+    });
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/schedule?${params}`);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Proxy returned HTTP ${response.status}`);
+    }
+    return { schedule: data.schedule, days: data.days };
+}
+
+/**
+ * Load the profile's schedule from the chosen source
+ * @returns {Promise<{schedule: Array<Object>, days: Object}>}
+ */
+async function loadSchedule(source, options, profile) {
+    if (source === 'proxy') {
+        const url = options.proxy || CONFIG.PROXY_URL;
+        if (!url) throw new UsageError('--source proxy needs --proxy <url> or SCHEDULE_PROXY_URL');
+        return loadFromProxy(url, profile);
+    }
+
+    let fetchSheet;
+    if (source === 'sheets') {
+        if (!CONFIG.API_KEY) throw new UsageError('--source sheets needs SHEETS_API_KEY');
+        fetchSheet = name => SheetSources.fetchSheetsApiGrid(name, { sheetId: CONFIG.SHEET_ID, apiKey: CONFIG.API_KEY });
+    } else if (source === 'published') {
+        fetchSheet = name => SheetSources.fetchPublishedCsvGrid(name, { sheetId: CONFIG.SHEET_ID });
+    } else if (source === 'file') {
+        if (!options.file) throw new UsageError('--source file needs --file <path>');
+        const sheets = await readFileSheets(options.file);
+        fetchSheet = async (name) => {
+            if (!sheets[name]) throw new Error(`File has no "${name}" sheet`);
+            return sheets[name];
+        };
+    } else {
+        throw new UsageError(`Unknown source "${source}"`);
+    }
+
+    return ScheduleCore.loadSchedule({ fetchSheet, profile, facultySheet: CONFIG.FACULTY_SHEET_NAME });
+}
+
+// ========================================
+// Output
+// ========================================
+
+function formatClass(cls) {
+    const { startMinutes, endMinutes } = ScheduleCore.getClassMinutes(cls);
+    const time = startMinutes === null
+        ? cls.time
+        : `${ScheduleTime.formatClock(startMinutes)} – ${ScheduleTime.formatClock(endMinutes)}`;
+    const status = cls.status && cls.status !== 'normal' ? ` [${cls.status}]` : '';
+    const room = cls.roomChange ? `${cls.roomChange}, usually ${cls.room}` : cls.room;
+    const details = [room, cls.isLab ? 'Lab' : '', cls.teacher].filter(Boolean).join(' • ');
+    const slot = move => [move.day, move.time, move.room].filter(Boolean).join(' ');
+    const move = cls.movedTo ? `  → ${slot(cls.movedTo)}` : cls.movedFrom ? `  ← ${slot(cls.movedFrom)}` : '';
+
+    return `  ${time.padEnd(22)}${cls.subject}${status}${details ? `  (${details})` : ''}${move}`;
+}
+
+function formatDay(schedule, day) {
+    const classes = ScheduleCore.getDayClasses(schedule, day);
+    return [day, ...(classes.length ? classes.map(formatClass) : ['  No classes'])].join('\n');
+}
+
+/**
+ * Today on the semester calendar: the followed day's classes, or why there are none
+ */
+function formatCalendarDay(schedule, calendar, date) {
+    const info = SemesterCalendar.getDayInfo(calendar, date);
+    if (info.kind === 'swap') {
+        return formatDay(schedule, info.scheduleDay).replace(info.scheduleDay, `${info.weekday} (${info.scheduleDay} schedule)`);
+    }
+    if (info.scheduleDay) return formatDay(schedule, info.scheduleDay);
+
+    const reasons = {
+        before: `semester starts ${calendar.start}`,
+        after: `semester ended ${calendar.end}`,
+        holiday: info.name || 'holiday',
+        exam: info.name || 'exam week'
+    };
+    return `${info.weekday}\n  No classes (${reasons[info.kind]})`;
+}
+
+function formatNext(next, now) {
+    if (!next) return 'No upcoming classes';
+
+    const { cls, daysAhead } = next;
+    const startMinutes = ScheduleCore.getClassMinutes(cls).startMinutes;
+    let when;
+    if (daysAhead === 0) {
+        when = `in ${ScheduleTime.formatDuration(startMinutes - now.minutes)}`;
+    } else {
+        when = daysAhead === 1 ? 'tomorrow' : `on ${next.date ? SemesterCalendar.getWeekday(next.date) : cls.day}`;
+        if (next.date && daysAhead > 6) when += ` ${next.date}`;
+    }
+
+    return `Next: ${cls.subject} ${when}\n${formatClass(cls)}`;
+}
+
+function exportSchedule(schedule, options, profile, now, calendar) {
+    const format = options.format || 'json';
+
+    if (format === 'json') {
+        return JSON.stringify({ profile, schedule }, null, 2) + '\n';
+    }
+    if (format === 'csv') {
+        return ScheduleCore.scheduleToCsv(schedule);
+    }
+    if (format === 'ics') {
+        const events = ScheduleCore.toCalendarEvents(schedule, { section: profile.section });
+        return ICalendar.buildCalendar(events, {
+            name: `${profile.section} Schedule • ${CONFIG.SEMESTER_LABEL}`,
+            semesterStart: options.start || (calendar ? calendar.start : CONFIG.SEMESTER_START),
+            semesterEnd: options.end || (calendar ? calendar.end : CONFIG.SEMESTER_END),
+            calendar,
+            referenceDate: now.date,
+            timezone: CONFIG.TIMEZONE,
+            uidDomain: `${profile.section.toLowerCase()}.se-schedule`
+        });
+    }
+
+    throw new UsageError(`Unknown format "${format}"; use json, csv or ics`);
+}
+
+// ========================================
+// Main
+// ========================================
+
+function readProfile(options) {
+    const profile = {
+        section: (options.section || CONFIG.DEFAULT_PROFILE.section).trim().toUpperCase(),
+        color: (options.color || CONFIG.DEFAULT_PROFILE.color).trim().toLowerCase(),
+        tolerance: options.tolerance === undefined ? CONFIG.DEFAULT_PROFILE.tolerance : Number(options.tolerance)
+    };
+
+    if (!/^#[0-9a-f]{6}$/.test(profile.color)) throw new UsageError('--color must be a hex color like #85200c');
+    if (!Number.isFinite(profile.tolerance)) throw new UsageError('--tolerance must be a number');
+    return profile;
+}
+
+async function main(argv) {
+    const { values: options, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            section: { type: 'string' },
+            color: { type: 'string' },
+            tolerance: { type: 'string' },
+            day: { type: 'string' },
+            format: { type: 'string' },
+            start: { type: 'string' },
+            end: { type: 'string' },
+            calendar: { type: 'string' },
+            source: { type: 'string' },
+            file: { type: 'string' },
+            proxy: { type: 'string' },
+            out: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    const command = positionals[0];
+    if (options.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+    if (!['today', 'week', 'next', 'export'].includes(command)) {
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+
+    const profile = readProfile(options);
+    const { schedule, days } = await loadSchedule(resolveSource(options), options, profile);
+
+    const failed = Object.entries(days || {}).filter(([, result]) => !result.ok);
+    if (failed.length === Object.keys(days || {}).length) {
+        throw new Error(`Timetable could not be loaded: ${failed.map(([day, result]) => `${day}: ${result.error}`).join('; ')}`);
+    }
+    for (const [day, result] of failed) {
+        console.error(`Warning: ${day} could not be loaded (${result.error})`);
+    }
+
+    const now = ScheduleCore.getZonedNow(new Date(), CONFIG.TIMEZONE.utcOffsetMinutes);
+    const calendar = options.calendar ? readCalendar(options.calendar) : null;
+    let output;
+
+    if (command === 'today') {
+        if (options.day) {
+            output = formatDay(schedule, options.day[0].toUpperCase() + options.day.slice(1).toLowerCase()) + '\n';
+        } else {
+            output = (calendar ? formatCalendarDay(schedule, calendar, now.date) : formatDay(schedule, now.day)) + '\n';
+        }
+    } else if (command === 'week') {
+        output = ScheduleCore.DAYS.map(day => formatDay(schedule, day)).join('\n\n') + '\n';
+    } else if (command === 'next') {
+        output = formatNext(ScheduleCore.getNextClass(schedule, now, calendar), now) + '\n';
+    } else {
+        output = exportSchedule(schedule, options, profile, now, calendar);
+    }
+
+    if (options.out) {
+        fs.writeFileSync(options.out, output);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ? 2 : 1;
+});
@@ -0,0 +1,186 @@
+/**
+ * Assessments
+ * Quizzes, assignments, exams and projects attached to timetable subjects, plus the
+ * JSON format a class rep uses to share one list with the whole section.
+ * Has no DOM dependencies so it can be loaded as a browser script or required from Node.
+ */
+(function (root) {
+    'use strict';
+
+    const TYPES = ['quiz', 'assignment', 'exam', 'project'];
+
+    const TYPE_LABELS = {
+        quiz: 'Quiz',
+        assignment: 'Assignment',
+        exam: 'Exam',
+        project: 'Project'
+    };
+
+    const FILE_FORMAT = 'se-schedule-assessments';
+    const FILE_VERSION = 1;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    function createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    function isValidDate(value) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+        const date = new Date(`${value}T00:00:00Z`);
+        return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+    }
+
+    function isValidTime(value) {
+        return /^([01]\d|2[0-3]):[0-5]\d$/.test(value || '');
+    }
+
+    function subjectKey(subject) {
+        return String(subject || '').trim().toLowerCase();
+    }
+
+    /**
+     * Validate an assessment, filling in defaults
+     * @param {Object} raw
+     * @returns {{id: string, subject: string, type: string, title: string, due: string,
+     *          time: string, notes: string}|null} null when subject or due date is missing or invalid
+     */
+    function normalizeAssessment(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+
+        const subject = String(raw.subject || '').trim();
+        const due = String(raw.due || '').trim();
+        if (!subject || !isValidDate(due)) return null;
+
+        const type = TYPES.includes(raw.type) ? raw.type : 'assignment';
+        const time = isValidTime(raw.time) ? raw.time : '';
+
+        return {
+            id: typeof raw.id === 'string' && raw.id ? raw.id : createId(),
+            subject,
+            type,
+            title: String(raw.title || '').trim() || TYPE_LABELS[type],
+            due,
+            time,
+            notes: String(raw.notes || '').trim()
+        };
+    }
+
+    /**
+     * Sort comparator: earliest due first; items without a time count as end of day
+     */
+    function compareByDue(a, b) {
+        return a.due.localeCompare(b.due) || (a.time || '24:00').localeCompare(b.time || '24:00');
+    }
+
+    /**
+     * Items due on or after `today`, soonest first
+     * @param {Array<Object>} items
+     * @param {string} today - "YYYY-MM-DD"
+     * @param {string} [subject] - Only items for this subject
+     */
+    function getUpcoming(items, today, subject) {
+        const key = subject === undefined ? null : subjectKey(subject);
+        return items
+            .filter(item => item.due >= today && (key === null || subjectKey(item.subject) === key))
+            .sort(compareByDue);
+    }
+
+    /**
+     * Items due before `today`, most recent first
+     */
+    function getPast(items, today) {
+        return items
+            .filter(item => item.due < today)
+            .sort((a, b) => compareByDue(b, a));
+    }
+
+    /**
+     * Whole days from `today` until the item is due (0 = due today)
+     */
+    function daysUntil(due, today) {
+        return Math.round((Date.parse(`${due}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) / DAY_MS);
+    }
+
+    /**
+     * Serialize items for sharing
+     * @param {Array<Object>} items
+     * @param {{section?: string, exportedAt?: Date}} [meta]
+     * @returns {string} Pretty-printed JSON
+     */
+    function serializeAssessments(items, meta = {}) {
+        return JSON.stringify({
+            format: FILE_FORMAT,
+            version: FILE_VERSION,
+            section: meta.section || '',
+            exportedAt: (meta.exportedAt || new Date()).toISOString(),
+            items: [...items].sort(compareByDue)
+        }, null, 2);
+    }
+
+    /**
+     * Read a shared file; accepts the export format or a bare array of items
+     * @param {string} text - File contents
+     * @returns {{section: string, items: Array<Object>, skipped: number}}
+     * @throws {Error} When the file is not JSON or holds no item list
+     */
+    function parseAssessmentsFile(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+
+        const list = Array.isArray(data) ? data : data?.items;
+        if (!Array.isArray(list)) {
+            throw new Error('File does not contain an assessments list');
+        }
+
+        const items = list.map(normalizeAssessment).filter(Boolean);
+        return {
+            section: Array.isArray(data) ? '' : String(data.section || ''),
+            items,
+            skipped: list.length - items.length
+        };
+    }
+
+    /**
+     * Merge imported items into an existing list; items with a known id replace the old copy
+     * @returns {{items: Array<Object>, added: number, updated: number}}
+     */
+    function mergeAssessments(existing, incoming) {
+        const byId = new Map(existing.map(item => [item.id, item]));
+        let added = 0;
+        let updated = 0;
+
+        for (const item of incoming) {
+            if (byId.has(item.id)) {
+                updated++;
+            } else {
+                added++;
+            }
+            byId.set(item.id, item);
+        }
+
+        return { items: [...byId.values()].sort(compareByDue), added, updated };
+    }
+
+    const Assessments = {
+        TYPES,
+        TYPE_LABELS,
+        normalizeAssessment,
+        compareByDue,
+        getUpcoming,
+        getPast,
+        daysUntil,
+        serializeAssessments,
+        parseAssessmentsFile,
+        mergeAssessments
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Assessments;
+    } else {
+        root.Assessments = Assessments;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,202 @@
+/**
+ * Attendance
+ * Expands the weekly schedule into dated class sessions, keeps a present/absent/cancelled log
+ * against them and works out per-subject percentages against the university's threshold.
+ * Has no DOM dependencies so it can be loaded as a browser script or required from Node.
+ */
+(function (root) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const ScheduleTime = isNode ? require('./time.js') : root.ScheduleTime;
+    const SemesterCalendar = isNode ? require('./calendar.js') : root.SemesterCalendar;
+    const ScheduleCore = isNode ? require('./schedule.js') : root.ScheduleCore;
+
+    const STATUSES = ['present', 'absent', 'cancelled'];
+
+    const STATUS_LABELS = {
+        present: 'Present',
+        absent: 'Absent',
+        cancelled: 'Cancelled',
+        unmarked: 'Not marked'
+    };
+
+    // Below this many absences left before the threshold, a course is flagged as heading for a shortage
+    const WARNING_ABSENCES_LEFT = 1;
+
+    function subjectKey(subject) {
+        return String(subject || '').trim().toLowerCase();
+    }
+
+    function getStartMinutes(cls) {
+        return ScheduleTime.parseTimeRange(cls.time)?.start ?? null;
+    }
+
+    /**
+     * Every dated occurrence of the schedule's classes between two dates
+     * Sessions are keyed by date and subject rather than time, so marks survive a class moving slots;
+     * a subject meeting twice on one day gets "#2" on its second session. With a calendar, holidays
+     * and exam weeks have no sessions and swapped days hold the classes of the day they follow.
+     * One-off makeup classes only get a session in the week the sheet reports them, and in that week
+     * a rescheduled class has its session in the new slot instead of the old one
+     * @param {Array<Object>} schedule
+     * @param {{start: string, end: string, minutes?: number, calendar?: Object, reportedWeek?: string}} range -
+     *        Inclusive "YYYY-MM-DD" dates; when `minutes` is given, sessions on the end date starting
+     *        after it are left out. reportedWeek is the Monday of the week the sheet describes;
+     *        without it makeup classes get no sessions
+     * @returns {Array<{id: string, date: string, day: string, time: string, subject: string,
+     *          room: string, isLab: boolean, sheetStatus: string}>} In date and start-time order
+     */
+    function listSessions(schedule, { start, end, minutes, calendar = null, reportedWeek = null }) {
+        const byDay = new Map();
+        for (const cls of schedule) {
+            if (!cls.subject || getStartMinutes(cls) === null) continue;
+            if (!byDay.has(cls.day)) byDay.set(cls.day, []);
+            byDay.get(cls.day).push(cls);
+        }
+        byDay.forEach(classes => classes.sort((a, b) => getStartMinutes(a) - getStartMinutes(b)));
+
+        const sessions = [];
+        for (let date = start; date <= end; date = SemesterCalendar.addDays(date, 1)) {
+            const seen = new Map();
+            const inReportedWeek = SemesterCalendar.getWeekStart(date) === reportedWeek;
+            for (const cls of byDay.get(SemesterCalendar.getScheduleDay(calendar, date)) || []) {
+                if (date === end && minutes !== undefined && getStartMinutes(cls) > minutes) continue;
+                if (ScheduleCore.isOneOff(cls) ? !inReportedWeek : inReportedWeek && cls.movedTo) continue;
+
+                const key = subjectKey(cls.subject);
+                const count = (seen.get(key) || 0) + 1;
+                seen.set(key, count);
+
+                sessions.push({
+                    id: `${date}|${key}${count > 1 ? `#${count}` : ''}`,
+                    date,
+                    day: cls.day,
+                    time: cls.time,
+                    subject: cls.subject,
+                    room: cls.room || '',
+                    isLab: Boolean(cls.isLab),
+                    sheetStatus: cls.status || 'normal'
+                });
+            }
+        }
+
+        return sessions;
+    }
+
+    /**
+     * Record the sheet's cancellations for the current week in the log
+     * The sheet only shows this week's status, so without this a cancelled class would turn
+     * back into an unmarked session once the week is over. Marks made by hand are never touched;
+     * automatic ones are dropped again if the sheet reinstates the class
+     * @param {Object<string, {status: string, auto?: boolean}>} log
+     * @param {Array<Object>} weekSessions - listSessions() for the current week
+     * @returns {{log: Object, changed: boolean}}
+     */
+    function applySheetCancellations(log, weekSessions) {
+        const next = { ...log };
+        let changed = false;
+
+        for (const session of weekSessions) {
+            const entry = next[session.id];
+            if (session.sheetStatus === 'cancelled' && !entry) {
+                next[session.id] = { status: 'cancelled', auto: true };
+                changed = true;
+            } else if (session.sheetStatus !== 'cancelled' && entry?.auto) {
+                delete next[session.id];
+                changed = true;
+            }
+        }
+
+        return { log: next, changed };
+    }
+
+    function getSessionStatus(session, log) {
+        return log[session.id]?.status || 'unmarked';
+    }
+
+    /**
+     * Per-subject attendance so far and how many more absences the threshold allows
+     * @param {Array<Object>} pastSessions - Sessions that have already started
+     * @param {Object} log
+     * @param {{threshold: number, plannedSessions: Array<Object>}} options - threshold as a
+     *        percentage; plannedSessions is every session of the semester
+     * @returns {Array<{subject: string, present: number, absent: number, cancelled: number,
+     *          unmarked: number, percentage: number|null, absencesLeft: number,
+     *          level: 'ok'|'warning'|'shortage'}>} Sorted by subject
+     */
+    function summarizeAttendance(pastSessions, log, { threshold, plannedSessions }) {
+        const subjects = new Map();
+        const getEntry = (subject) => {
+            const key = subjectKey(subject);
+            if (!subjects.has(key)) {
+                subjects.set(key, { subject, planned: 0, present: 0, absent: 0, cancelled: 0, unmarked: 0 });
+            }
+            return subjects.get(key);
+        };
+
+        for (const session of plannedSessions) {
+            getEntry(session.subject).planned++;
+        }
+        for (const session of pastSessions) {
+            getEntry(session.subject)[getSessionStatus(session, log)]++;
+        }
+
+        return [...subjects.values()]
+            .map(({ planned, ...entry }) => {
+                const held = entry.present + entry.absent;
+                const allowedAbsences = Math.floor((planned - entry.cancelled) * (100 - threshold) / 100);
+                const absencesLeft = allowedAbsences - entry.absent;
+                const percentage = held > 0 ? (entry.present / held) * 100 : null;
+
+                let level = 'ok';
+                if (absencesLeft < 0) {
+                    level = 'shortage';
+                } else if ((percentage !== null && percentage < threshold) || absencesLeft <= WARNING_ABSENCES_LEFT) {
+                    level = 'warning';
+                }
+
+                return { ...entry, percentage, absencesLeft, level };
+            })
+            .sort((a, b) => a.subject.localeCompare(b.subject));
+    }
+
+    /**
+     * One row per session with its mark
+     * @returns {string} CSV with a header row and CRLF line endings
+     */
+    function attendanceToCsv(sessions, log) {
+        const header = ['Date', 'Day', 'Time', 'Subject', 'Room', 'Type', 'Attendance', 'Source'];
+        const rows = sessions.map(session => {
+            const entry = log[session.id];
+            return [
+                session.date,
+                session.day,
+                session.time,
+                session.subject,
+                session.room,
+                session.isLab ? 'Lab' : 'Lecture',
+                STATUS_LABELS[getSessionStatus(session, log)],
+                entry ? (entry.auto ? 'Sheet' : 'Manual') : ''
+            ];
+        });
+
+        return [header, ...rows].map(row => row.map(ScheduleCore.csvField).join(',')).join('\r\n') + '\r\n';
+    }
+
+    const Attendance = {
+        STATUSES,
+        STATUS_LABELS,
+        listSessions,
+        applySheetCancellations,
+        getSessionStatus,
+        summarizeAttendance,
+        attendanceToCsv
+    };
+
+    if (isNode) {
+        module.exports = Attendance;
+    } else {
+        root.Attendance = Attendance;
+    }
+})(typeof self !== 'undefined' ? self : this);
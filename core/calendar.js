@@ -0,0 +1,251 @@
+/**
+ * Semester Calendar
+ * Turns real dates into timetable days: which weekday's classes a date follows, and why a date
+ * has none (before or after the semester, a holiday, an exam week). The calendar comes from a
+ * JSON config file or a "Calendar" tab in the timetable sheet.
+ * Has no DOM dependencies so it can be loaded as a browser script or required from Node.
+ */
+(function (root) {
+    'use strict';
+
+    const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+    const pad = n => String(n).padStart(2, '0');
+
+    // ========================================
+    // Dates
+    // ========================================
+    // Dates are "YYYY-MM-DD" strings throughout; arithmetic runs in UTC so it never trips on DST
+
+    function toDate(value) {
+        return new Date(`${value}T00:00:00Z`);
+    }
+
+    function isDate(value) {
+        return typeof value === 'string' && ISO_DATE.test(value) && toDate(value).toISOString().startsWith(value);
+    }
+
+    function addDays(value, days) {
+        return new Date(toDate(value).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    function getWeekday(value) {
+        return WEEKDAYS[toDate(value).getUTCDay()];
+    }
+
+    /**
+     * Monday of the week containing `value`
+     */
+    function getWeekStart(value) {
+        return addDays(value, -((toDate(value).getUTCDay() + 6) % 7));
+    }
+
+    function daysBetween(from, to) {
+        return Math.round((toDate(to) - toDate(from)) / DAY_MS);
+    }
+
+    /**
+     * Read a date as sheets tend to show it: "2026-03-23", "23-Mar-2026", "23 March 2026",
+     * "March 23, 2026" or "23/03/2026" (day first, as written in Pakistan)
+     * @returns {string|null} "YYYY-MM-DD"
+     */
+    function parseDate(text) {
+        const value = String(text ?? '').trim();
+        if (isDate(value)) return value;
+
+        const build = (year, month, day) => {
+            const date = `${year}-${pad(month)}-${pad(day)}`;
+            return isDate(date) ? date : null;
+        };
+        const monthIndex = name => MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+
+        let match = value.match(/^(\d{1,2})[\s-]+([a-z]+)[\s,-]+(\d{4})$/i);
+        if (match && monthIndex(match[2])) return build(match[3], monthIndex(match[2]), match[1]);
+
+        match = value.match(/^([a-z]+)\s+(\d{1,2}),?\s+(\d{4})$/i);
+        if (match && monthIndex(match[1])) return build(match[3], monthIndex(match[1]), match[2]);
+
+        match = value.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/);
+        if (match) return build(match[3], match[2], match[1]);
+
+        return null;
+    }
+
+    function parseWeekday(text) {
+        const value = String(text ?? '').trim().toLowerCase();
+        if (value.length < 3) return null;
+        return WEEKDAYS.find(day => day.toLowerCase().startsWith(value)) || null;
+    }
+
+    // ========================================
+    // Calendar
+    // ========================================
+
+    function normalizeRange(entry) {
+        const start = parseDate(entry?.start ?? entry?.date);
+        const end = parseDate(entry?.end) || start;
+        if (!start || end < start) return null;
+        return { start, end, name: String(entry.name || '').trim() };
+    }
+
+    function normalizeSwap(entry) {
+        const date = parseDate(entry?.date);
+        const follows = parseWeekday(entry?.follows);
+        if (!date || !follows) return null;
+        return { date, follows, name: String(entry.name || '').trim() };
+    }
+
+    /**
+     * Validate a calendar from a config file or parseCalendarSheet(); bad entries are dropped
+     * @param {Object|null} raw - { label, start, end, holidays: [{date|start, end?, name}],
+     *        exams: [{start, end, name}], swaps: [{date, follows: "Monday", name}] }
+     * @param {{label?: string, start: string, end: string}} defaults - Used for a missing label or bounds
+     * @returns {{label: string, start: string, end: string, holidays: Array<Object>,
+     *          exams: Array<Object>, swaps: Array<Object>}}
+     */
+    function normalizeCalendar(raw, defaults) {
+        const start = parseDate(raw?.start) || defaults.start;
+        const end = parseDate(raw?.end) || defaults.end;
+        const byStart = (a, b) => (a.start || a.date).localeCompare(b.start || b.date);
+
+        return {
+            label: String(raw?.label || defaults.label || '').trim(),
+            start,
+            end: end < start ? start : end,
+            holidays: (Array.isArray(raw?.holidays) ? raw.holidays : []).map(normalizeRange).filter(Boolean).sort(byStart),
+            exams: (Array.isArray(raw?.exams) ? raw.exams : []).map(normalizeRange).filter(Boolean).sort(byStart),
+            swaps: (Array.isArray(raw?.swaps) ? raw.swaps : []).map(normalizeSwap).filter(Boolean).sort(byStart)
+        };
+    }
+
+    function classifyEntry(type, follows) {
+        if (follows || /swap|follow|make-?up/.test(type)) return 'swap';
+        // Whole words only, so a "Mid-semester break" stays a holiday
+        if (/exam|\bmid-?terms?\b|\bmids\b|\bfinals?\b/.test(type)) return 'exam';
+        if (/holiday|off|closed|break|vacation/.test(type)) return 'holiday';
+        if (/start|begin/.test(type)) return 'start';
+        if (/end/.test(type)) return 'end';
+        return null;
+    }
+
+    /**
+     * Read a "Calendar" tab into the shape normalizeCalendar takes
+     * The header row (within the first 10 rows) needs a date column and a type column; end date,
+     * name and "follows" columns are optional. Types: holiday, exam, swap (with the weekday it
+     * follows), semester start and semester end
+     * @param {Object} gridData - Sheets API grid data, as for the day tabs
+     * @returns {Object|null} null when the tab has no recognizable header
+     */
+    function parseCalendarSheet(gridData) {
+        const rows = gridData?.rowData || [];
+        const cellText = cell => String(cell?.formattedValue ?? '').trim();
+
+        for (let i = 0; i < Math.min(10, rows.length); i++) {
+            const headers = (rows[i]?.values || []).map(cell => cellText(cell).toLowerCase());
+            const isEndHeader = h => /^(end|to|until)\b/.test(h);
+            const dateCol = headers.findIndex(h => !isEndHeader(h) && /date|from|start/.test(h));
+            const typeCol = headers.findIndex(h => /type|kind|category/.test(h));
+            if (dateCol === -1 || typeCol === -1) continue;
+
+            const endCol = headers.findIndex(isEndHeader);
+            const nameCol = headers.findIndex(h => /name|event|description|title|occasion/.test(h));
+            const followsCol = headers.findIndex(h => /follow|schedule of|as per/.test(h));
+
+            const calendar = { holidays: [], exams: [], swaps: [] };
+            for (const row of rows.slice(i + 1)) {
+                const values = row?.values || [];
+                const entry = {
+                    start: cellText(values[dateCol]),
+                    end: endCol === -1 ? '' : cellText(values[endCol]),
+                    name: nameCol === -1 ? '' : cellText(values[nameCol])
+                };
+                const follows = followsCol === -1 ? '' : cellText(values[followsCol]);
+
+                const kind = classifyEntry(cellText(values[typeCol]).toLowerCase(), follows);
+
+                if (kind === 'swap') {
+                    // "Monday schedule" in the name is enough when there is no follows column
+                    calendar.swaps.push({ date: entry.start, follows: follows || entry.name.match(/[a-z]+day/i)?.[0], name: entry.name });
+                } else if (kind === 'exam') {
+                    calendar.exams.push(entry);
+                } else if (kind === 'holiday') {
+                    calendar.holidays.push(entry);
+                } else if (kind === 'start' || kind === 'end') {
+                    calendar[kind] = entry.start;
+                }
+            }
+            return calendar;
+        }
+
+        console.warn('No header row found in calendar tab');
+        return null;
+    }
+
+    const inRange = (date, range) => date >= range.start && date <= range.end;
+
+    /**
+     * What a date means for the timetable
+     * Without a calendar every date simply follows its own weekday
+     * @param {Object|null} calendar - normalizeCalendar() output
+     * @param {string} date - "YYYY-MM-DD"
+     * @returns {{date: string, weekday: string, kind: 'before'|'after'|'holiday'|'exam'|'swap'|'class',
+     *          name: string, scheduleDay: string|null}} scheduleDay is the day tab whose classes
+     *          run on that date, or null when none do
+     */
+    function getDayInfo(calendar, date) {
+        const weekday = getWeekday(date);
+        const info = (kind, scheduleDay = null, name = '') => ({ date, weekday, kind, name, scheduleDay });
+
+        if (!calendar) return info('class', weekday);
+        if (date < calendar.start) return info('before');
+        if (date > calendar.end) return info('after');
+
+        const holiday = calendar.holidays.find(range => inRange(date, range));
+        if (holiday) return info('holiday', null, holiday.name);
+
+        const exam = calendar.exams.find(range => inRange(date, range));
+        if (exam) return info('exam', null, exam.name);
+
+        const swap = calendar.swaps.find(entry => entry.date === date);
+        if (swap) return info('swap', swap.follows, swap.name);
+
+        return info('class', weekday);
+    }
+
+    function getScheduleDay(calendar, date) {
+        return getDayInfo(calendar, date).scheduleDay;
+    }
+
+    /**
+     * Teaching week a date falls in, counting the week the semester starts in as week 1
+     * @returns {number|null} null outside the semester
+     */
+    function getSemesterWeek(calendar, date) {
+        if (!calendar || date < calendar.start || date > calendar.end) return null;
+        return Math.floor(daysBetween(getWeekStart(calendar.start), date) / 7) + 1;
+    }
+
+    const SemesterCalendar = {
+        WEEKDAYS,
+        isDate,
+        parseDate,
+        addDays,
+        getWeekday,
+        getWeekStart,
+        daysBetween,
+        normalizeCalendar,
+        parseCalendarSheet,
+        getDayInfo,
+        getScheduleDay,
+        getSemesterWeek
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SemesterCalendar;
+    } else {
+        root.SemesterCalendar = SemesterCalendar;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,105 @@
+/**
+ * Schedule Cards
+ * Markup for a class card in the today, filtered and teacher views. The page works out the labels
+ * and links that depend on its state; everything from the sheet goes through html``, so a cell
+ * can never turn into markup.
+ * Has no DOM dependencies so it can be loaded as a browser script or required from Node.
+ */
+(function (root) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { html } = isNode ? require('./html.js') : root.HtmlTemplate;
+
+    /**
+     * Markup for one class
+     * @param {Object} cls - Schedule entry
+     * @param {Object} view
+     * @param {{start: string, end: string}} view.time - Formatted start and end times
+     * @param {number} view.colorIndex - Subject color, 1-8
+     * @param {string} view.linkId - data-class-id for deep links
+     * @param {string} view.ariaLabel - Screen-reader summary of the class
+     * @param {string} [view.statusLabel] - e.g. "Cancelled"; none for a normal class
+     * @param {string} [view.clash] - Description of overlapping classes
+     * @param {string} [view.move] - e.g. "Moved to Thu 2:30 PM • Lab 3"
+     * @param {string|null} [view.moveLinkId] - data-class-id of the class in the other slot
+     * @param {{start: number, end: number}|null} [view.live] - Today view: the slot's minutes for
+     *        the live progress bar and countdown
+     * @param {Object|string} [view.assessmentBadge] - html`` badge for the next assessment
+     * @param {boolean} [view.showDay] - Add a badge with the class's day
+     * @param {number} [view.index] - Position in the list; staggers the entrance animation
+     * @returns {Object} html`` result
+     */
+    function renderScheduleCard(cls, view) {
+        const { time, colorIndex, linkId, ariaLabel, statusLabel, clash, move, moveLinkId, live } = view;
+
+        const clashInfo = clash && html`
+            <div class="clash-info">
+                <span aria-hidden="true">⚠️</span>
+                <span>${clash}</span>
+            </div>
+        `;
+
+        const teacherInfo = cls.teacher && html`
+            <div class="teacher-info">
+                <span aria-hidden="true">👤</span>
+                <span>${cls.teacher}</span>
+            </div>
+        `;
+
+        // Rescheduled or makeup class and the slot it moves to or comes from, linked to that class's card
+        const moveInfo = move && html`
+            <div class="move-info">
+                <span aria-hidden="true">${cls.movedFrom ? '⬅️' : '➡️'}</span>
+                ${moveLinkId
+                    ? html`<button type="button" class="move-link" data-class-id="${moveLinkId}">${move}</button>`
+                    : html`<span>${move}</span>`}
+            </div>
+        `;
+
+        // This week's room when a notice moves the class, with the usual one
+        const roomInfo = cls.roomChange
+            ? html`${cls.roomChange} <span class="room-was">(usually ${cls.room})</span>`
+            : cls.room || 'TBA';
+
+        const liveAttrs = live && html` data-start="${live.start}" data-end="${live.end}"`;
+        const delay = (view.index || 0) * 0.05;
+
+        return html`
+            <article class="schedule-card ${cls.isLab ? 'is-lab' : ''} ${clash ? 'has-clash' : ''} subject-color-${colorIndex}" data-class-id="${linkId}"${liveAttrs} aria-label="${ariaLabel}" style="animation-delay: ${delay}s">
+                <div class="card-time">
+                    <span class="time-start">${time.start}</span>
+                    <span class="time-separator">to</span>
+                    <span class="time-end">${time.end}</span>
+                </div>
+                <div class="card-details">
+                    <h3 class="subject-name ${cls.status === 'cancelled' ? 'subject-cancelled' : ''}">${cls.subject || 'Unknown'}</h3>
+                    <div class="room-info">
+                        <span aria-hidden="true">📍</span>
+                        <span>${roomInfo}</span>
+                    </div>
+                    ${teacherInfo}
+                    ${moveInfo}
+                    ${clashInfo}
+                    ${live && html`<div class="card-live"></div>`}
+                </div>
+                <div class="card-badge">
+                    <span class="badge badge-${cls.isLab ? 'lab' : 'lecture'}">${cls.isLab ? '🔬 Lab' : '📚 Lecture'}</span>
+                    ${statusLabel && html`<span class="badge badge-${cls.status}">${statusLabel}</span>`}
+                    ${clash && html`<span class="badge badge-clash">⚠️ Clash</span>`}
+                    ${view.assessmentBadge}
+                    ${view.showDay && html`<span class="badge badge-day">${cls.day}</span>`}
+                    <button type="button" class="card-link" data-class-id="${linkId}" aria-label="Copy link to this class" title="Copy link">🔗</button>
+                </div>
+            </article>
+        `;
+    }
+
+    const ScheduleCards = { renderScheduleCard };
+
+    if (isNode) {
+        module.exports = ScheduleCards;
+    } else {
+        root.ScheduleCards = ScheduleCards;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,110 @@
+/**
+ * Schedule Change Detection
+ * Compares two parsed schedules and lists added, removed, moved and status-changed classes.
+ * Has no DOM dependencies so it can be loaded as a browser script or required from Node.
+ */
+(function (root) {
+    'use strict';
+
+    /**
+     * Classes are matched on day + subject; time and room are what may change
+     */
+    function getClassKey(cls) {
+        return `${cls.day}|${(cls.subject || '').toLowerCase()}`;
+    }
+
+    function groupByKey(schedule) {
+        const groups = new Map();
+        for (const cls of schedule) {
+            const key = getClassKey(cls);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(cls);
+        }
+        return groups;
+    }
+
+    function pickFields(cls) {
+        return { time: cls.time, room: cls.room, status: cls.status };
+    }
+
+    /**
+     * Pair up sessions sharing a key (e.g. a subject taught twice on one day)
+     * Unchanged sessions are paired first so a single move is not reported as two
+     */
+    function pairSessions(before, after) {
+        const remainingBefore = [...before];
+        const remainingAfter = [...after];
+        const pairs = [];
+
+        for (let i = remainingBefore.length - 1; i >= 0; i--) {
+            const prev = remainingBefore[i];
+            const j = remainingAfter.findIndex(next => next.time === prev.time && next.room === prev.room);
+            if (j !== -1) {
+                pairs.push([prev, remainingAfter[j]]);
+                remainingBefore.splice(i, 1);
+                remainingAfter.splice(j, 1);
+            }
+        }
+
+        const byTime = (a, b) => (a.time || '').localeCompare(b.time || '');
+        remainingBefore.sort(byTime);
+        remainingAfter.sort(byTime);
+
+        while (remainingBefore.length && remainingAfter.length) {
+            pairs.push([remainingBefore.shift(), remainingAfter.shift()]);
+        }
+
+        return { pairs, removed: remainingBefore, added: remainingAfter };
+    }
+
+    /**
+     * Diff two schedules
+     * @param {Array<Object>} previous - Earlier schedule entries
+     * @param {Array<Object>} next - Newer schedule entries
+     * @returns {Array<{type: 'added'|'removed'|'moved'|'status', day: string, subject: string,
+     *          before: Object|null, after: Object|null, fields?: string[]}>} Changes, where `fields` lists what moved
+     */
+    function diffSchedules(previous, next) {
+        const before = groupByKey(previous || []);
+        const after = groupByKey(next || []);
+        const keys = new Set([...before.keys(), ...after.keys()]);
+        const changes = [];
+
+        for (const key of keys) {
+            const { pairs, removed, added } = pairSessions(before.get(key) || [], after.get(key) || []);
+
+            for (const cls of removed) {
+                changes.push({ type: 'removed', day: cls.day, subject: cls.subject, before: pickFields(cls), after: null });
+            }
+            for (const cls of added) {
+                changes.push({ type: 'added', day: cls.day, subject: cls.subject, before: null, after: pickFields(cls) });
+            }
+
+            for (const [prev, curr] of pairs) {
+                const fields = ['time', 'room'].filter(field => prev[field] !== curr[field]);
+                if (fields.length) {
+                    changes.push({
+                        type: 'moved', day: curr.day, subject: curr.subject,
+                        before: pickFields(prev), after: pickFields(curr), fields
+                    });
+                }
+                if (prev.status !== curr.status) {
+                    changes.push({
+                        type: 'status', day: curr.day, subject: curr.subject,
+                        before: pickFields(prev), after: pickFields(curr)
+                    });
+                }
+            }
+        }
+
+        return changes;
+    }
+
+    const ScheduleDiff = { diffSchedules, getClassKey };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ScheduleDiff;
+    } else {
+        root.ScheduleDiff = ScheduleDiff;
+    }
+})(typeof self !== 'undefined' ? self : this);
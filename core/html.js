@@ -0,0 +1,73 @@
+/**
+ * HTML Templates
+ * Builds markup strings from sheet content without letting that content turn into markup.
+ * Subjects, rooms and teachers come from a spreadsheet anyone in the section can edit, so every
+ * value interpolated into an html`` template is escaped unless it is itself an html`` result.
+ * Has no DOM dependencies so it can be loaded as a browser script or required from Node.
+ */
+(function (root) {
+    'use strict';
+
+    const ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    };
+
+    /**
+     * Markup that is already safe to insert; only html`` creates it
+     */
+    class SafeHtml {
+        constructor(markup) {
+            this.markup = markup;
+        }
+
+        toString() {
+            return this.markup;
+        }
+    }
+
+    /**
+     * Escape text for use in element content or a quoted attribute value
+     * @param {*} value - null and undefined become an empty string
+     * @returns {string}
+     */
+    function escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ESCAPES[char]);
+    }
+
+    function renderValue(value) {
+        if (value instanceof SafeHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(renderValue).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return escapeHtml(value);
+    }
+
+    /**
+     * Tagged template that escapes every interpolated value
+     * Nested html`` results and arrays of them are inserted as they are, and null, undefined and
+     * false render as nothing so `${cond && html`...`}` works
+     * @example html`<h3 class="subject-name">${cls.subject}</h3>`
+     * @returns {SafeHtml} Assign with String() or straight to innerHTML
+     */
+    function html(strings, ...values) {
+        let markup = strings[0];
+        values.forEach((value, i) => {
+            markup += renderValue(value) + strings[i + 1];
+        });
+        return new SafeHtml(markup);
+    }
+
+    const HtmlTemplate = {
+        escapeHtml,
+        html
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = HtmlTemplate;
+    } else {
+        root.HtmlTemplate = HtmlTemplate;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,295 @@
+/**
+ * iCalendar (RFC 5545) Export
+ * Turns schedule entries into a weekly recurring .ics calendar.
+ * Has no DOM dependencies so it can be loaded as a browser script or required from Node.
+ */
+(function (root) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const SemesterCalendar = isNode ? require('./calendar.js') : root.SemesterCalendar;
+
+    const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const MAX_LINE_OCTETS = 75;
+    const encoder = new TextEncoder();
+
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+    /**
+     * Parse a "YYYY-MM-DD" string into a UTC midnight timestamp
+     * Dates are handled in UTC so that no local DST shift can move a class to another day
+     */
+    function parseDate(dateStr) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr || '');
+        if (!match) return null;
+        return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }
+
+    function formatDateStamp(date) {
+        const d = new Date(date);
+        return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+    }
+
+    function formatIsoDate(date) {
+        return new Date(date).toISOString().slice(0, 10);
+    }
+
+    function formatLocalDateTime(date, minutes) {
+        return `${formatDateStamp(date)}T${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}00`;
+    }
+
+    function formatUtcDateTime(timestamp) {
+        const d = new Date(timestamp);
+        return `${formatDateStamp(d)}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+    }
+
+    function formatOffset(offsetMinutes) {
+        const sign = offsetMinutes < 0 ? '-' : '+';
+        const abs = Math.abs(offsetMinutes);
+        return `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+    }
+
+    /**
+     * First date on or after `from` that falls on the given weekday
+     */
+    function firstWeekdayOnOrAfter(from, day) {
+        const target = WEEKDAYS.indexOf(day);
+        const current = new Date(from).getUTCDay();
+        return from + ((target - current + 7) % 7) * DAY_MS;
+    }
+
+    /**
+     * Date of the given weekday in the Monday-based week containing `reference`
+     */
+    function weekdayInWeekOf(reference, day) {
+        const current = new Date(reference).getUTCDay();
+        const monday = reference - ((current + 6) % 7) * DAY_MS;
+        return monday + ((WEEKDAYS.indexOf(day) + 6) % 7) * DAY_MS;
+    }
+
+    /**
+     * Escape TEXT property values (RFC 5545 section 3.3.11)
+     */
+    function escapeText(value) {
+        return String(value ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold a content line to 75 octets (RFC 5545 section 3.1)
+     * Splits on code point boundaries so multi-byte characters are never cut in half
+     */
+    function foldLine(line) {
+        const chunks = [];
+        let current = '';
+        let octets = 0;
+        let limit = MAX_LINE_OCTETS;
+
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            if (octets + size > limit) {
+                chunks.push(current);
+                current = '';
+                octets = 0;
+                // Continuation lines start with a space, which counts towards the limit
+                limit = MAX_LINE_OCTETS - 1;
+            }
+            current += char;
+            octets += size;
+        }
+        chunks.push(current);
+
+        return chunks.join('\r\n ');
+    }
+
+    function hashString(str) {
+        let hash = 0;
+        for (let i = 0; i < str.length; i++) {
+            hash = str.charCodeAt(i) + ((hash << 5) - hash);
+            hash |= 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    function buildTimezone(timezone) {
+        const offset = formatOffset(timezone.utcOffsetMinutes);
+        return [
+            'BEGIN:VTIMEZONE',
+            `TZID:${timezone.id}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            `TZOFFSETFROM:${offset}`,
+            `TZOFFSETTO:${offset}`,
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+    }
+
+    /**
+     * Dates a weekly class does not meet: days the semester calendar gives to a holiday, an exam
+     * or another weekday's schedule, plus this week's slot when the class is cancelled or moved
+     * (the moved class is exported as a makeup in its new slot)
+     */
+    function getExcludedDates(event, first, options) {
+        const { semesterEnd, reference, calendar } = options;
+        const excluded = new Set();
+
+        if (calendar) {
+            for (let date = first; date <= semesterEnd; date += 7 * DAY_MS) {
+                if (SemesterCalendar.getScheduleDay(calendar, formatIsoDate(date)) !== event.day) {
+                    excluded.add(date);
+                }
+            }
+        }
+        if (event.status === 'cancelled' || event.movedTo) excluded.add(weekdayInWeekOf(reference, event.day));
+
+        return [...excluded].sort((a, b) => a - b);
+    }
+
+    /**
+     * Build the VEVENT lines for one occurrence pattern of a class
+     * @param {string} uidKey - Tells apart events of the same class that start on the same date
+     * @param {string[]} notes - Extra DESCRIPTION lines
+     * @param {string[]} rules - RRULE and EXDATE lines, if any
+     */
+    function buildEventLines(event, date, options, uidKey, notes, rules) {
+        const { timezone, dtstamp, uidDomain } = options;
+        const tzid = `TZID=${timezone.id}`;
+        const uidSource = [event.day, event.startMinutes, event.subject, event.room, uidKey].join('|');
+        const summary = event.isLab ? `${event.subject} (Lab)` : event.subject;
+        const description = [
+            event.section && `Section ${event.section}`,
+            event.teacher && `Instructor: ${event.teacher}`,
+            ...notes
+        ].filter(Boolean).join('\n');
+
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${hashString(uidSource)}-${formatDateStamp(date)}@${uidDomain}`,
+            `DTSTAMP:${dtstamp}`,
+            `DTSTART;${tzid}:${formatLocalDateTime(date, event.startMinutes)}`,
+            `DTEND;${tzid}:${formatLocalDateTime(date, event.endMinutes)}`,
+            `SUMMARY:${escapeText(summary)}`
+        ];
+
+        if (event.room) lines.push(`LOCATION:${escapeText(event.room)}`);
+        if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+        lines.push(...rules, 'END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * Build the VEVENTs for one class
+     * Regular classes recur weekly until the semester end, skipping this week's cancellation and
+     * any date the semester calendar takes away; swapped days that follow the class's weekday get
+     * a one-off event each. Makeup classes become a single event in the reference week
+     */
+    function buildEvent(event, options) {
+        const { semesterStart, semesterEnd, reference, timezone, calendar } = options;
+        const tzid = `TZID=${timezone.id}`;
+        const isMakeup = event.status === 'makeup';
+        const inSemester = date => date >= semesterStart && date <= semesterEnd;
+
+        if (isMakeup) {
+            const date = weekdayInWeekOf(reference, event.day);
+            return inSemester(date) ? buildEventLines(event, date, options, 'makeup', ['Makeup class'], []) : [];
+        }
+
+        const lines = [];
+        const first = firstWeekdayOnOrAfter(semesterStart, event.day);
+
+        if (inSemester(first)) {
+            // UNTIL must be in UTC when DTSTART carries a TZID
+            const until = semesterEnd + DAY_MS - 1000 - timezone.utcOffsetMinutes * 60 * 1000;
+            const rules = [`RRULE:FREQ=WEEKLY;UNTIL=${formatUtcDateTime(until)}`];
+            const excluded = getExcludedDates(event, first, options);
+
+            if (excluded.length > 0) {
+                const dates = excluded.map(date => formatLocalDateTime(date, event.startMinutes));
+                rules.push(`EXDATE;${tzid}:${dates.join(',')}`);
+            }
+            lines.push(...buildEventLines(event, first, options, '', [], rules));
+        }
+
+        for (const swap of calendar ? calendar.swaps : []) {
+            const date = parseDate(swap.date);
+            // A swap that also falls on a holiday or in an exam week holds no classes
+            if (SemesterCalendar.getScheduleDay(calendar, swap.date) !== event.day || !inSemester(date)) continue;
+            const note = `Follows the ${swap.follows} schedule${swap.name ? ` (${swap.name})` : ''}`;
+            lines.push(...buildEventLines(event, date, options, 'swap', [note], []));
+        }
+
+        return lines;
+    }
+
+    /**
+     * Build an iCalendar document
+     * @param {Array<{day: string, startMinutes: number, endMinutes: number, subject: string,
+     *         room: string, status: string, isLab: boolean, teacher?: string, section?: string,
+     *         movedTo?: Object}>} events - movedTo marks a class that meets in another slot this week
+     * @param {Object} options
+     * @param {string} options.semesterStart - First day of the semester, "YYYY-MM-DD"
+     * @param {string} options.semesterEnd - Last day of the semester, "YYYY-MM-DD"
+     * @param {string} options.referenceDate - Date the sheet statuses apply to, "YYYY-MM-DD"
+     * @param {{id: string, utcOffsetMinutes: number}} options.timezone - Fixed-offset timezone
+     * @param {string} [options.name] - Calendar display name
+     * @param {Date} [options.now] - Creation time used for DTSTAMP
+     * @param {string} [options.uidDomain] - Domain suffix for event UIDs
+     * @param {Object} [options.calendar] - Semester calendar (see SemesterCalendar.normalizeCalendar)
+     *         whose holidays, exams and swapped days the weekly classes should follow
+     * @returns {string} .ics file contents with CRLF line endings
+     */
+    function buildCalendar(events, options) {
+        const semesterStart = parseDate(options.semesterStart);
+        const semesterEnd = parseDate(options.semesterEnd);
+        const reference = parseDate(options.referenceDate);
+
+        if (semesterStart === null || semesterEnd === null || semesterEnd < semesterStart) {
+            throw new Error('Invalid semester date range');
+        }
+        if (reference === null) {
+            throw new Error('Invalid reference date');
+        }
+
+        const context = {
+            semesterStart,
+            semesterEnd,
+            reference,
+            timezone: options.timezone,
+            dtstamp: formatUtcDateTime((options.now || new Date()).getTime()),
+            uidDomain: options.uidDomain || 'se-schedule',
+            calendar: options.calendar || null
+        };
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//SE Schedule//Timetable Export//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+
+        if (options.name) lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+        lines.push(`X-WR-TIMEZONE:${options.timezone.id}`);
+        lines.push(...buildTimezone(options.timezone));
+
+        for (const event of events) {
+            lines.push(...buildEvent(event, context));
+        }
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    const ICalendar = { buildCalendar, escapeText, foldLine };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ICalendar;
+    } else {
+        root.ICalendar = ICalendar;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,719 @@
+/**
+ * Timetable Parser
+ * Reads Sheets API grid data into a section's schedule entries, the full room occupancy
+ * and the optional faculty mapping. Shared by the page and the Node proxy, so both parse
+ * the sheet the same way.
+ * Has no DOM dependencies so it can be loaded as a browser script or required from Node.
+ */
+(function (root) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const ScheduleTime = isNode ? require('./time.js') : root.ScheduleTime;
+    const SheetSources = isNode ? require('./sources.js') : root.SheetSources;
+
+    // ========================================
+    // Cell Text
+    // ========================================
+
+    // Regex pattern for matching embedded time in cell text
+    // Matches patterns like "09:30-11:15", "9:30 - 11:15", "09:30–11:15", "2:30 PM to 3:50 PM"
+    const EMBEDDED_TIME_PATTERN = ScheduleTime.TIME_RANGE_PATTERN;
+
+    // Honorifics that introduce an instructor's name in cell text, e.g. "DS (SE-C) Dr. Ayesha Khan"
+    const TEACHER_PATTERN = /\b(?:Dr|Mr|Mrs|Ms|Miss|Prof|Engr|Sir|Madam|Mam)\.?\s+[A-Z][A-Za-z.'-]*(?:\s+[A-Z][A-Za-z.'-]*)*/;
+
+    // A line that names a place rather than a person: "Lab", "Room 5", "CS Lab 1", "A-201"
+    const PLACE_LINE_PATTERN = /^(?:(?:[a-z]+\s+){0,2}(?:lab|room|hall|venue)(?:\s*[-#:]?\s*[a-z]?\d+[a-z]?)?|[a-z]?-?\d+[a-z]?)$/i;
+
+    // Any section marker, for callers that pass no section
+    const ANY_SECTION_MARKER = /\([A-Z]{2,}-[A-Z0-9]+\)/i;
+
+    // Parsed time ranges by time string; the same few slot strings repeat across the schedule
+    const timeRangeCache = new Map();
+
+    /**
+     * Parse a slot string such as "08:30-09:50" or "2:30 PM – 3:50 PM" into minutes after midnight
+     * @returns {{start: number, end: number|null, duration: number|null}|null}
+     */
+    function parseTime(timeStr) {
+        if (!timeStr) return null;
+        if (!timeRangeCache.has(timeStr)) {
+            timeRangeCache.set(timeStr, ScheduleTime.parseTimeRange(timeStr));
+        }
+        return timeRangeCache.get(timeStr);
+    }
+
+    function isLabRoom(room) {
+        return room && room.toLowerCase().includes('lab');
+    }
+
+    function isLabTimeSlot(time) {
+        // Lab slots are typically 2h45min long, lectures 1h20min
+        return ScheduleTime.isLabDuration(parseTime(time));
+    }
+
+    /**
+     * Extract embedded time from cell text
+     * Matches patterns like "09:30-11:15", "9:30 - 11:15", "09:30–11:15", "2:30pm-3:50pm"
+     * @param {string} cellText - Cell content to search for time
+     * @returns {string|null} Normalized time string "HH:MM-HH:MM" or null if not found
+     */
+    function extractEmbeddedTime(cellText) {
+        if (!cellText) return null;
+
+        const match = cellText.match(EMBEDDED_TIME_PATTERN);
+
+        if (match) {
+            // Normalize: remove spaces and use standard hyphen
+            return match[1].replace(/\s+/g, '').replace(/–|—|to/i, '-');
+        }
+
+        return null;
+    }
+
+    function escapeRegExp(str) {
+        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Clean subject name by removing embedded time and section pattern
+     * @param {string} cellText - Original cell content
+     * @param {string|null} embeddedTime - Embedded time to remove (if present)
+     * @param {string} section - Section code whose "(CODE)" marker is removed
+     * @returns {string} Cleaned subject name
+     */
+    function cleanSubjectName(cellText, embeddedTime, section) {
+        if (!cellText) return '';
+
+        let subject = cellText;
+
+        // Remove embedded time if present
+        if (embeddedTime) {
+            // Remove the original time pattern (may have spaces/en-dash)
+            subject = subject.replace(EMBEDDED_TIME_PATTERN, '');
+        }
+
+        // Remove section pattern like (SE-C)
+        if (section) {
+            subject = subject.replace(new RegExp(`\\(${escapeRegExp(section)}\\)`, 'gi'), '');
+        }
+
+        // Clean up empty brackets, dangling separators, extra spaces and trim
+        subject = subject
+            .replace(/\(\s*\)/g, '')
+            .replace(/\s+/g, ' ')
+            .replace(/^[\s\-–|/,:]+|[\s\-–|/,:]+$/g, '')
+            .trim();
+
+        return subject;
+    }
+
+    /**
+     * Extract the instructor from cell text
+     * Recognizes an honorific followed by a name ("Dr. Ayesha Khan") or, in multi-line
+     * cells, the lines after the one with the section marker. Lines before the marker and
+     * lines that name a room, lab or time stay with the subject, so "Object Oriented\nProgramming (SE-C)"
+     * keeps its whole name
+     * @param {string} cellText - Cell content (status keywords already removed)
+     * @param {string} section - Section code whose "(SE-C)" marker ends the subject
+     * @returns {{teacher: string, rest: string}} Teacher name and the remaining cell text
+     */
+    function extractTeacher(cellText, section) {
+        if (!cellText) return { teacher: '', rest: '' };
+
+        const match = cellText.match(TEACHER_PATTERN);
+        if (match) {
+            return { teacher: match[0].trim(), rest: cellText.replace(match[0], ' ') };
+        }
+
+        const marker = section ? new RegExp(`\\(${escapeRegExp(section)}\\)`, 'i') : ANY_SECTION_MARKER;
+        const lines = cellText.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        const markerLine = lines.findIndex(line => marker.test(line));
+
+        const nameLines = [];
+        const restLines = [];
+        lines.forEach((line, i) => {
+            const name = i > markerLine && markerLine !== -1 ? cleanSubjectName(line, extractEmbeddedTime(line), section) : '';
+            if (name && !PLACE_LINE_PATTERN.test(name)) {
+                nameLines.push(name);
+            } else {
+                restLines.push(line);
+            }
+        });
+
+        if (nameLines.length > 0) {
+            return { teacher: nameLines.join(' '), rest: restLines.join(' ') };
+        }
+
+        return { teacher: '', rest: cellText };
+    }
+
+    // ========================================
+    // Status Notices
+    // ========================================
+
+    // Keywords that say a class is not running as usual. "moved" and "shifted" mean a new slot when
+    // a day or time follows and a new room otherwise
+    const STATUS_KEYWORDS = [
+        { kind: 'cancelled', pattern: /^cancel(?:l?ed|l?ation|s)?$/i },
+        { kind: 'rescheduled', pattern: /^(?:re-?scheduled?|postponed?)$/i },
+        { kind: 'makeup', pattern: /^make-?\s?up$/i },
+        { kind: 'moved', pattern: /^(?:moved|shifted)$/i },
+        { kind: 'room', pattern: /^(?:room|venue)\s+chang(?:e|ed)$/i }
+    ];
+
+    const KEYWORD_PATTERN = /(?:\bclass\s+)?\b(cancel(?:l?ed|l?ation|s)?|re-?scheduled?|postponed?|make-?\s?up|moved|shifted|(?:room|venue)\s+chang(?:e|ed))\b/gi;
+
+    // A keyword only counts at the start or end of the cell or next to a separator, so a subject
+    // such as "Intro to Makeup Artistry" keeps its name
+    const NOTICE_BEFORE = /(?:^|[\n(\[|,:;\-–—)\]])[ \t]*$/;
+    const NOTICE_AFTER = /^[ \t]*(?:$|[\n(\[|,:;\-–—)\]])/;
+
+    // Pieces of a new slot after "to", "on" or ":", in any order: "to Thu 2:30 in Lab 3", "on Saturday, 10:00-11:20"
+    const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+    const TARGET_LEAD = /^[ \t]*(?:(?:to|on|for)\b|→|->|:)/i;
+    const TARGET_PARTS = {
+        day: /^[ \t,]*(?:on\s+)?(mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)\b\.?/i,
+        time: new RegExp(`^[ \\t,]*(?:(?:at|from)\\s+|@\\s*)?(?:${EMBEDDED_TIME_PATTERN.source}|(\\d{1,2}:\\d{2}(?:\\s*[ap]\\.?m\\.?(?![a-z]))?))`, 'i'),
+        room: /^[ \t,]*(?:(in|at|venue\s*:?)\s+)?((?:[A-Za-z]+[\s-]+){0,2}[A-Za-z]?\d+[A-Za-z]?)\b/i
+    };
+
+    /**
+     * Read the new day, time and room from the text after a status keyword
+     * @returns {{target: {day: string|null, time: string|null, room: string|null}|null, length: number}}
+     *          length is how much of the text the details took up
+     */
+    function parseTargetDetails(text) {
+        const lead = TARGET_LEAD.exec(text);
+        if (!lead) return { target: null, length: 0 };
+
+        const target = { day: null, time: null, room: null };
+        let length = lead[0].length;
+        let found = false;
+
+        for (;;) {
+            const rest = text.slice(length);
+            const day = !target.day && TARGET_PARTS.day.exec(rest);
+            const time = !target.time && TARGET_PARTS.time.exec(rest);
+            const room = !target.room && TARGET_PARTS.room.exec(rest);
+
+            if (day) {
+                target.day = WEEKDAY_NAMES.find(name => name.toLowerCase().startsWith(day[1].slice(0, 3).toLowerCase()));
+                length += day[0].length;
+            } else if (time) {
+                target.time = (time[1] || time[2]).replace(/\s+/g, '').replace(/–|—|to/i, '-');
+                length += time[0].length;
+            } else if (room && (room[1] || /\b(?:room|lab|hall)\b/i.test(room[2]))) {
+                target.room = room[2].trim();
+                length += room[0].length;
+            } else {
+                break;
+            }
+            found = true;
+        }
+
+        return found ? { target, length } : { target: null, length: 0 };
+    }
+
+    /**
+     * Find the new slot in the text after a status keyword: right after it ("Makeup on Sat 10:00 OOP")
+     * or closing the cell ("Makeup OOP (SE-C) on Sat 10:00")
+     * @returns {{target: Object|null, start: number, end: number}} Where the details sit in the text
+     */
+    function findTargetDetails(text) {
+        const leads = [0, ...[...text.matchAll(/\s(?=(?:to|on)\b|→|->)/gi)].map(match => match.index)];
+
+        for (const start of leads) {
+            const { target, length } = parseTargetDetails(text.slice(start));
+            if (target && (start === 0 || NOTICE_AFTER.test(text.slice(start + length)))) {
+                return { target, start, end: start + length };
+            }
+        }
+        return { target: null, start: 0, end: 0 };
+    }
+
+    /**
+     * Find a status notice in cell text: cancelled, rescheduled or makeup, with the new slot when
+     * the cell gives one ("Rescheduled to Thu 2:30 in Lab 3"), or a room change ("Room changed to Lab 3")
+     * @returns {{status: string, target: Object|null, roomChange: string, rest: string}}
+     *          rest is the cell text with the notice taken out
+     */
+    function parseStatusNotice(content) {
+        for (const match of content.matchAll(KEYWORD_PATTERN)) {
+            const before = content.slice(0, match.index);
+            const after = content.slice(match.index + match[0].length);
+            const { kind } = STATUS_KEYWORDS.find(keyword => keyword.pattern.test(match[1]));
+            const details = kind === 'cancelled' ? { target: null, start: 0, end: 0 } : findTargetDetails(after);
+
+            const atDetails = details.target && details.start === 0;
+            if (!NOTICE_BEFORE.test(before) && !NOTICE_AFTER.test(after) && !atDetails) continue;
+
+            const rest = `${before} ${after.slice(0, details.start)} ${after.slice(details.end)}`;
+            const hasSlot = Boolean(details.target && (details.target.day || details.target.time));
+
+            if (kind === 'room' || (kind === 'moved' && !hasSlot && details.target)) {
+                if (!details.target?.room) continue;
+                return { status: 'normal', target: null, roomChange: details.target.room, rest };
+            }
+            return { status: kind === 'moved' ? 'rescheduled' : kind, target: details.target, roomChange: '', rest };
+        }
+
+        return { status: 'normal', target: null, roomChange: '', rest: content };
+    }
+
+    /**
+     * Parse subject name and status from cell content
+     * Handles status notices, embedded time and instructor names
+     * @param {string} content - Cell content to parse
+     * @param {string} section - Section code to strip from the subject
+     * @returns {{subject: string|null, status: string, embeddedTime: string|null, teacher: string,
+     *          target: {day: string|null, time: string|null, room: string|null}|null, roomChange: string}}
+     *          Object containing:
+     *          - subject: Cleaned subject name (time, section, teacher and notice removed)
+     *          - status: 'normal', 'cancelled', 'rescheduled', or 'makeup'
+     *          - embeddedTime: Extracted time in format "HH:MM-HH:MM" or null
+     *          - teacher: Instructor named in the cell, or ''
+     *          - target: New slot of a rescheduled or makeup class, as far as the cell gives it, or null
+     *          - roomChange: Room the class moves to for this week, or ''
+     */
+    function parseSubjectAndStatus(content, section) {
+        if (!content) {
+            return { subject: null, status: 'normal', embeddedTime: null, teacher: '', target: null, roomChange: '' };
+        }
+
+        const { status, target, roomChange, rest: cleanContent } = parseStatusNotice(content);
+
+        // Extract embedded time
+        const embeddedTime = extractEmbeddedTime(cleanContent);
+
+        // Extract instructor name
+        const { teacher, rest } = extractTeacher(cleanContent, section);
+
+        // Clean subject name (remove embedded time and section pattern)
+        const subject = cleanSubjectName(rest, embeddedTime, section);
+
+        return { subject, status, embeddedTime, teacher, target, roomChange };
+    }
+
+    function isTargetSection(content, section) {
+        if (!content || !section) return false;
+        return content.toUpperCase().includes(`(${section.toUpperCase()})`);
+    }
+
+    /**
+     * Convert a "#rrggbb" hex color to the 0-1 float channels used by the Sheets API
+     * @param {string} hex - Hex color, e.g. "#85200c"
+     * @returns {{r: number, g: number, b: number}}
+     */
+    function hexToColorFloats(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return {
+            r: ((value >> 16) & 255) / 255,
+            g: ((value >> 8) & 255) / 255,
+            b: (value & 255) / 255
+        };
+    }
+
+    /**
+     * Check if a color matches the profile's batch color
+     * Returns true if the RGB values are within the profile's tolerance
+     */
+    function matchesBatchColor(cellColor, profile) {
+        if (!cellColor || 
+            cellColor.red === undefined || 
+            cellColor.green === undefined || 
+            cellColor.blue === undefined) {
+            return false;
+        }
+
+        // Default to 0 if not provided (Google Sheets API may omit 0 values)
+        const r = cellColor.red ?? 0;
+        const g = cellColor.green ?? 0;
+        const b = cellColor.blue ?? 0;
+
+        const target = hexToColorFloats(profile.color);
+        const tolerance = profile.tolerance;
+
+        return Math.abs(r - target.r) <= tolerance &&
+               Math.abs(g - target.g) <= tolerance &&
+               Math.abs(b - target.b) <= tolerance;
+    }
+
+    // ========================================
+    // Grid Parsing
+    // ========================================
+
+    /**
+     * Locate the time header and the room rows of a day's timetable grid
+     * Both parse modes (section schedule and room occupancy) walk the grid through this
+     * @returns {{headerRowIndex: number, timeColumns: Array<{index: number, time: string}>,
+     *          roomRows: Array<{room: string, values: Array}>}|null}
+     *          null when no header row with time slots is found
+     */
+    function readTimetableGrid(gridData, day) {
+        if (!gridData || !gridData.rowData) {
+            return null;
+        }
+
+        const rows = gridData.rowData;
+
+        // Find the header row with time slots
+        let headerRowIndex = -1;
+        const timeColumns = [];
+
+        for (let i = 0; i < Math.min(10, rows.length); i++) {
+            const row = rows[i];
+            if (!row || !row.values) continue;
+
+            for (let j = 1; j < row.values.length; j++) {
+                const cell = row.values[j];
+                const value = cell?.formattedValue || '';
+                if (typeof value === 'string' && ScheduleTime.parseTimeRange(value)?.end != null) {
+                    headerRowIndex = i;
+                    break;
+                }
+            }
+            if (headerRowIndex !== -1) break;
+        }
+
+        if (headerRowIndex === -1) {
+            console.warn(`No header row found for ${day}`);
+            return null;
+        }
+
+        // Extract time columns from header row
+        const headerRow = rows[headerRowIndex];
+        for (let j = 1; j < headerRow.values.length; j++) {
+            const cell = headerRow.values[j];
+            const value = cell?.formattedValue || '';
+            if (typeof value === 'string' && ScheduleTime.parseTimeRange(value)) {
+                timeColumns.push({ index: j, time: value.trim() });
+            }
+        }
+
+        // Collect each data row after header
+        const roomRows = [];
+        for (let i = headerRowIndex + 1; i < rows.length; i++) {
+            const row = rows[i];
+            if (!row || !row.values) continue;
+
+            // Get room from first column
+            const roomCell = row.values[0];
+            const room = roomCell?.formattedValue || '';
+
+            if (!room || room.toLowerCase().includes('lab sessions') || room.toLowerCase().includes('timetable')) {
+                continue;
+            }
+
+            roomRows.push({ room: room.trim(), values: row.values });
+        }
+
+        return { headerRowIndex, timeColumns, roomRows };
+    }
+
+    /**
+     * Parse the Google Sheets API v4 response and extract the profile's classes with color filtering
+     */
+    function parseGoogleSheetData(gridData, day, profile) {
+        const schedule = [];
+        const grid = readTimetableGrid(gridData, day);
+
+        if (!grid) {
+            return schedule;
+        }
+
+        // CSV exports carry no formatting, so there only the section text can be checked
+        const checkColors = SheetSources.hasBackgroundColors(gridData);
+
+        for (const { room, values } of grid.roomRows) {
+            // Check each time column for section classes with matching color
+            for (const { index, time } of grid.timeColumns) {
+                if (index >= values.length) continue;
+
+                const cell = values[index];
+                const cellContent = cell?.formattedValue || '';
+                const backgroundColor = cell?.effectiveFormat?.backgroundColor;
+
+                // Filter by: 1) Contains section text, 2) Has matching background color
+                if (typeof cellContent === 'string' && isTargetSection(cellContent, profile.section)) {
+                    // Check color match for batch filtering
+                    if (checkColors && !matchesBatchColor(backgroundColor, profile)) {
+                        continue;
+                    }
+
+                    const { subject, status, embeddedTime, teacher, target, roomChange } = parseSubjectAndStatus(cellContent, profile.section);
+
+                    // Use embedded time if present, otherwise use column header time
+                    const finalTime = embeddedTime || time;
+
+                    const isLab = isLabRoom(room) || isLabTimeSlot(finalTime);
+
+                    schedule.push({
+                        day,
+                        time: finalTime,
+                        subject,
+                        room,
+                        isLab,
+                        status,
+                        teacher,
+                        target,
+                        roomChange,
+                        rawContent: cellContent
+                    });
+                }
+            }
+        }
+
+        return schedule;
+    }
+
+    /**
+     * Second parse mode: keep every booked cell of every room, regardless of section or batch
+     * @returns {{slots: string[], rooms: Array<{name: string, isLab: boolean}>,
+     *          bookings: Array<{room: string, time: string, status: string, content: string}>}}
+     */
+    function parseRoomOccupancy(gridData, day) {
+        const occupancy = { slots: [], rooms: [], bookings: [] };
+        const grid = readTimetableGrid(gridData, day);
+
+        if (!grid) {
+            return occupancy;
+        }
+
+        occupancy.slots = grid.timeColumns.map(({ time }) => time);
+
+        for (const { room, values } of grid.roomRows) {
+            if (!occupancy.rooms.some(r => r.name === room)) {
+                occupancy.rooms.push({ name: room, isLab: Boolean(isLabRoom(room)) });
+            }
+
+            for (const { index, time } of grid.timeColumns) {
+                const content = values[index]?.formattedValue;
+                if (typeof content !== 'string' || !content.trim()) continue;
+
+                // A room change books the new room and leaves the row's room free
+                const { status, embeddedTime, roomChange } = parseSubjectAndStatus(content, '');
+                occupancy.bookings.push({ room: roomChange || room, time: embeddedTime || time, status, content: content.trim() });
+            }
+        }
+
+        return occupancy;
+    }
+
+    /**
+     * Rooms with no booking overlapping the slot
+     * Bookings for cancelled classes don't count, but the room is marked as freed by a cancellation
+     * @returns {Array<{name: string, isLab: boolean, freedByCancellation: boolean}>}
+     */
+    function findFreeRooms(occupancy, slotTime) {
+        const slot = parseTime(slotTime);
+        if (!occupancy || !slot) return [];
+
+        return occupancy.rooms
+            .map(room => {
+                const overlapping = occupancy.bookings.filter(booking =>
+                    booking.room === room.name && ScheduleTime.rangesOverlap(parseTime(booking.time), slot)
+                );
+                return {
+                    ...room,
+                    free: overlapping.every(booking => booking.status === 'cancelled'),
+                    freedByCancellation: overlapping.length > 0
+                };
+            })
+            .filter(room => room.free)
+            .map(({ free, ...room }) => room);
+    }
+
+    // ========================================
+    // Diagnostics
+    // ========================================
+
+    // Any "(XX-Y)" section marker, so cells meant for another section aren't reported as misses
+    const ANY_SECTION_PATTERN = /\([A-Z]{2,}-[A-Z0-9]+\)/i;
+
+    // Text that looks like a clock reading ("9.30", "11:15") even when it isn't a valid range
+    const TIME_LIKE_PATTERN = /\d{1,2}\s*[:.]\s*\d{2}/;
+
+    function colorToHex(color) {
+        const channel = value => Math.round((value ?? 0) * 255).toString(16).padStart(2, '0');
+        return `#${channel(color.red)}${channel(color.green)}${channel(color.blue)}`;
+    }
+
+    /**
+     * Report the cells a day's parse rejected that were probably meant for the profile
+     * Rules, in the order they are checked:
+     * - "wrong-color": has the "(SECTION)" marker but a background outside the tolerance
+     * - "no-section": has the batch color but no section marker at all
+     * - "bad-time": a section cell, or a header cell, with time-like text that doesn't parse
+     * @returns {{headerFound: boolean, colorsChecked: boolean, slots: number, rooms: number,
+     *          nearMisses: Array<{rule: string, room: string, time: string, content: string, detail: string}>}}
+     */
+    function diagnoseSheet(gridData, day, profile) {
+        const grid = readTimetableGrid(gridData, day);
+        const colorsChecked = SheetSources.hasBackgroundColors(gridData);
+        const report = { headerFound: Boolean(grid), colorsChecked, slots: 0, rooms: 0, nearMisses: [] };
+
+        if (!grid) {
+            return report;
+        }
+
+        report.slots = grid.timeColumns.length;
+        report.rooms = grid.roomRows.length;
+
+        // Header cells that read like a slot but don't parse drop their whole column
+        const headerValues = gridData.rowData[grid.headerRowIndex].values;
+        for (let j = 1; j < headerValues.length; j++) {
+            const value = headerValues[j]?.formattedValue;
+            if (typeof value === 'string' && TIME_LIKE_PATTERN.test(value) && !ScheduleTime.parseTimeRange(value)) {
+                report.nearMisses.push({
+                    rule: 'bad-time',
+                    room: '',
+                    time: value.trim(),
+                    content: value.trim(),
+                    detail: 'Header cell is not a time slot, so its column was skipped'
+                });
+            }
+        }
+
+        for (const { room, values } of grid.roomRows) {
+            for (const { index, time } of grid.timeColumns) {
+                const cell = values[index];
+                const content = cell?.formattedValue;
+                if (typeof content !== 'string' || !content.trim()) continue;
+
+                const backgroundColor = cell.effectiveFormat?.backgroundColor;
+                const hasSection = isTargetSection(content, profile.section);
+                const hasColor = matchesBatchColor(backgroundColor, profile);
+                const miss = detail => ({ room, time, content: content.trim(), detail });
+
+                if (hasSection && colorsChecked && !hasColor) {
+                    report.nearMisses.push({
+                        rule: 'wrong-color',
+                        ...miss(backgroundColor
+                            ? `Cell color ${colorToHex(backgroundColor)} is outside ±${profile.tolerance} of ${profile.color}`
+                            : 'Cell has no background color')
+                    });
+                } else if (!hasSection && hasColor && !ANY_SECTION_PATTERN.test(content)) {
+                    report.nearMisses.push({
+                        rule: 'no-section',
+                        ...miss(`Batch color, but no "(${profile.section})" marker`)
+                    });
+                }
+
+                if (hasSection) {
+                    const embeddedTime = extractEmbeddedTime(content);
+                    const withoutTime = embeddedTime ? content.replace(EMBEDDED_TIME_PATTERN, '') : content;
+                    if (embeddedTime && !parseTime(embeddedTime)) {
+                        report.nearMisses.push({ rule: 'bad-time', ...miss(`"${embeddedTime}" is not a valid time range`) });
+                    } else if (TIME_LIKE_PATTERN.test(withoutTime)) {
+                        report.nearMisses.push({
+                            rule: 'bad-time',
+                            ...miss(`"${withoutTime.match(TIME_LIKE_PATTERN)[0]}" looks like a time but isn't a range; the slot time ${time} was used`)
+                        });
+                    }
+                }
+            }
+        }
+
+        return report;
+    }
+
+    // ========================================
+    // Faculty Tab
+    // ========================================
+
+    function normalizeCourseName(name) {
+        return (name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+
+    /**
+     * Parse the faculty tab into course → teacher rows
+     * The header row (within the first 10 rows) needs a course/subject column and a
+     * teacher/instructor/faculty column; a section column is optional
+     * @returns {Array<{course: string, sections: string[], teacher: string}>}
+     */
+    function parseFacultyMapping(gridData) {
+        const rows = gridData?.rowData || [];
+        const cellText = cell => String(cell?.formattedValue ?? '').trim();
+
+        for (let i = 0; i < Math.min(10, rows.length); i++) {
+            const headers = (rows[i]?.values || []).map(cell => cellText(cell).toLowerCase());
+            const courseCol = headers.findIndex(h => /course|subject/.test(h));
+            const teacherCol = headers.findIndex(h => /teacher|instructor|faculty/.test(h));
+            const sectionCol = headers.findIndex(h => /section/.test(h));
+
+            if (courseCol === -1 || teacherCol === -1) continue;
+
+            return rows.slice(i + 1)
+                .map(row => row?.values || [])
+                .map(values => ({
+                    course: normalizeCourseName(cellText(values[courseCol])),
+                    sections: sectionCol === -1 ? [] : cellText(values[sectionCol])
+                        .toUpperCase()
+                        .split(/[,/&]+/)
+                        .map(part => part.trim())
+                        .filter(Boolean),
+                    teacher: cellText(values[teacherCol])
+                }))
+                .filter(entry => entry.course && entry.teacher);
+        }
+
+        console.warn('No header row found in faculty tab');
+        return [];
+    }
+
+    /**
+     * Find the teacher for a subject; rows naming the section win over rows without one
+     * A row's section may be the full code ("SE-C") or just its letter ("C")
+     */
+    function findMappedTeacher(subject, section, mapping) {
+        const course = normalizeCourseName(subject);
+        const code = section.toUpperCase();
+        const candidates = mapping.filter(entry => entry.course === course);
+
+        const forSection = candidates.find(entry =>
+            entry.sections.some(s => s === code || code.endsWith(`-${s}`))
+        );
+        const general = candidates.find(entry => entry.sections.length === 0);
+
+        return (forSection || general)?.teacher || '';
+    }
+
+    /**
+     * Fill in teachers the cell text did not name from the faculty mapping
+     */
+    function applyFacultyMapping(schedule, mapping, section) {
+        if (mapping.length === 0) return;
+
+        for (const cls of schedule) {
+            if (!cls.teacher) {
+                cls.teacher = findMappedTeacher(cls.subject, section, mapping);
+            }
+        }
+    }
+
+    const TimetableParser = {
+        parseTime,
+        isLabRoom,
+        isLabTimeSlot,
+        extractEmbeddedTime,
+        extractTeacher,
+        parseSubjectAndStatus,
+        isTargetSection,
+        matchesBatchColor,
+        readTimetableGrid,
+        parseGoogleSheetData,
+        diagnoseSheet,
+        parseRoomOccupancy,
+        findFreeRooms,
+        parseFacultyMapping,
+        applyFacultyMapping
+    };
+
+    if (isNode) {
+        module.exports = TimetableParser;
+    } else {
+        root.TimetableParser = TimetableParser;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,357 @@
+/**
+ * Schedule Core
+ * Loads a section's week through any tab fetcher (Sheets API, published CSV, a file) and answers
+ * the questions the page, the proxy and the CLI ask of it: what is on a day, what is next,
+ * and the week as calendar events or CSV.
+ * Has no DOM dependencies so it can be loaded as a browser script or required from Node.
+ */
+(function (root) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const ScheduleTime = isNode ? require('./time.js') : root.ScheduleTime;
+    const TimetableParser = isNode ? require('./parser.js') : root.TimetableParser;
+    const SemesterCalendar = isNode ? require('./calendar.js') : root.SemesterCalendar;
+
+    const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+    // Assumed length of a class whose slot only gives a start time
+    const DEFAULT_CLASS_MINUTES = 80;
+
+    // Section names a profile may use, after trimming and upper-casing, e.g. "SE-C" or "BS CS 2"
+    const SECTION_PATTERN = /^[A-Z0-9][A-Z0-9 _-]{0,19}$/;
+
+    // How far getNextClass looks ahead through a calendar, enough to get past a holiday break
+    const NEXT_CLASS_LOOKAHEAD_DAYS = 21;
+
+    const pad = n => String(n).padStart(2, '0');
+
+    // ========================================
+    // Loading
+    // ========================================
+
+    /**
+     * Fetch every day tab (and the optional faculty tab) in parallel and parse it for a profile
+     * @param {Object} options
+     * @param {function(string): Promise<Object>} options.fetchSheet - Resolves a tab name to its grid data
+     * @param {{section: string, color: string, tolerance: number}} options.profile
+     * @param {string[]} [options.days] - Day tab names
+     * @param {string} [options.facultySheet] - Faculty tab name; a missing tab just means no mapping
+     * @returns {Promise<{schedule: Array<Object>, occupancy: Object, faculty: number,
+     *          days: Object<string, {ok: boolean, classes?: number, diagnostics?: Object, error?: string}>}>}
+     *          diagnostics is TimetableParser.diagnoseSheet's report for the day
+     */
+    async function loadSchedule({ fetchSheet, profile, days = DAYS, facultySheet = 'Faculty' }) {
+        const schedule = [];
+        const occupancy = {};
+        const results = {};
+
+        const facultyPromise = facultySheet
+            ? fetchSheet(facultySheet).then(TimetableParser.parseFacultyMapping, () => [])
+            : Promise.resolve([]);
+
+        await Promise.all(days.map(async (day) => {
+            try {
+                const gridData = await fetchSheet(day);
+                const daySchedule = TimetableParser.parseGoogleSheetData(gridData, day, profile);
+                occupancy[day] = TimetableParser.parseRoomOccupancy(gridData, day);
+                schedule.push(...daySchedule);
+                results[day] = {
+                    ok: true,
+                    classes: daySchedule.length,
+                    diagnostics: TimetableParser.diagnoseSheet(gridData, day, profile)
+                };
+            } catch (error) {
+                results[day] = { ok: false, error: error.message };
+            }
+        }));
+
+        const mapping = await facultyPromise;
+        TimetableParser.applyFacultyMapping(schedule, mapping, profile.section);
+        linkMovedClasses(schedule);
+
+        return { schedule: sortSchedule(schedule, days), occupancy, faculty: mapping.length, days: results };
+    }
+
+    /**
+     * Fill in the days whose tab failed to load from the previous schedule
+     * Without this a refresh with one failed tab would report that day's classes as removed,
+     * and as added again on the next good refresh
+     * @param {Array<Object>} schedule - loadSchedule() result
+     * @param {Array<Object>} previous - Last good schedule, e.g. from a cache
+     * @param {Object<string, {ok: boolean}>} days - loadSchedule()'s per-day results
+     * @returns {Array<Object>} Sorted like loadSchedule's schedule
+     */
+    function mergeFailedDays(schedule, previous, days) {
+        const failed = new Set(Object.keys(days).filter(day => !days[day].ok));
+        if (failed.size === 0) return schedule;
+
+        return sortSchedule([
+            ...schedule.filter(cls => !failed.has(cls.day)),
+            ...previous.filter(cls => failed.has(cls.day))
+        ]);
+    }
+
+    const slotOf = cls => ({ day: cls.day, time: cls.time, room: cls.room });
+
+    /**
+     * Link rescheduled and makeup classes to the slot their notice names
+     * The original gets `movedTo` and the class in the new slot `movedFrom`. When the sheet has no
+     * class of that subject in the new slot, a makeup entry is added there; a target with only a
+     * time stays on the same day, one with only a day keeps the original time
+     * @param {Array<Object>} schedule - Parsed entries; updated in place
+     * @param {number} [defaultMinutes] - Length of an added class when the target gives only a start time
+     */
+    function linkMovedClasses(schedule, defaultMinutes = DEFAULT_CLASS_MINUTES) {
+        const subjectKey = cls => (cls.subject || '').trim().toLowerCase();
+
+        for (const cls of [...schedule]) {
+            const { target } = cls;
+            if (!target || !['rescheduled', 'makeup'].includes(cls.status) || (!target.day && !target.time)) continue;
+
+            const day = target.day || cls.day;
+            const targetRange = target.time ? TimetableParser.parseTime(target.time) : null;
+            if (target.time && !targetRange) continue;
+
+            const original = getClassMinutes(cls, defaultMinutes);
+            const start = targetRange ? targetRange.start : original.startMinutes;
+            if (start === null || (day === cls.day && start === original.startMinutes)) continue;
+
+            let moved = schedule.find(other =>
+                other !== cls && other.day === day && subjectKey(other) === subjectKey(cls) &&
+                getClassMinutes(other, defaultMinutes).startMinutes === start
+            );
+
+            if (!moved) {
+                // Keep the original length unless the notice gives the whole range
+                const length = targetRange?.end != null
+                    ? targetRange.end - targetRange.start
+                    : (original.endMinutes ?? start + defaultMinutes) - (original.startMinutes ?? start);
+                const time = `${ScheduleTime.formatClock24(start)}-${ScheduleTime.formatClock24(start + length)}`;
+                moved = {
+                    ...cls,
+                    day,
+                    time,
+                    room: target.room || cls.room,
+                    status: 'makeup',
+                    target: null,
+                    roomChange: ''
+                };
+                schedule.push(moved);
+            }
+
+            cls.movedTo = slotOf(moved);
+            moved.movedFrom = slotOf(cls);
+        }
+    }
+
+    // ========================================
+    // Queries
+    // ========================================
+
+    /**
+     * Resolve a class's slot into start/end minutes after midnight
+     * Slots that only give a start time are assumed to last `defaultMinutes`
+     */
+    function getClassMinutes(cls, defaultMinutes = DEFAULT_CLASS_MINUTES) {
+        const range = TimetableParser.parseTime(cls.time);
+        if (!range) return { startMinutes: null, endMinutes: null };
+        return {
+            startMinutes: range.start,
+            endMinutes: range.end ?? range.start + defaultMinutes
+        };
+    }
+
+    /**
+     * Week order, then start time; unparseable times last within their day
+     */
+    function sortSchedule(schedule, days = DAYS) {
+        const startOf = cls => getClassMinutes(cls).startMinutes ?? Infinity;
+        return [...schedule].sort((a, b) =>
+            days.indexOf(a.day) - days.indexOf(b.day) || startOf(a) - startOf(b)
+        );
+    }
+
+    /**
+     * Whether a class takes place in its own slot: not cancelled and not moved to another one
+     */
+    function isHeldInSlot(cls) {
+        return cls.status !== 'cancelled' && !cls.movedTo;
+    }
+
+    /**
+     * Whether a class only happens in the week the sheet describes: makeup classes, including the
+     * ones linkMovedClasses adds for a rescheduled class's new slot. Other weeks leave them out
+     */
+    function isOneOff(cls) {
+        return cls.status === 'makeup';
+    }
+
+    function getDayClasses(schedule, day) {
+        return sortSchedule(schedule.filter(cls => cls.day === day));
+    }
+
+    /**
+     * Gaps of at least `minMinutes` between a day's classes, from the first class to the last
+     * Cancelled and moved classes free their slot; overlapping classes count as one busy stretch
+     * @param {Array<Object>} classes - One day's classes
+     * @param {{defaultMinutes?: number, minMinutes?: number}} [options]
+     * @returns {Array<{start: number, end: number}>} Minutes after midnight, in time order
+     */
+    function getFreePeriods(classes, { defaultMinutes = DEFAULT_CLASS_MINUTES, minMinutes = 1 } = {}) {
+        const busy = classes
+            .filter(isHeldInSlot)
+            .map(cls => getClassMinutes(cls, defaultMinutes))
+            .filter(range => range.startMinutes !== null)
+            .sort((a, b) => a.startMinutes - b.startMinutes);
+
+        const gaps = [];
+        let busyUntil = null;
+        for (const { startMinutes, endMinutes } of busy) {
+            if (busyUntil !== null && startMinutes - busyUntil >= minMinutes) {
+                gaps.push({ start: busyUntil, end: startMinutes });
+            }
+            busyUntil = busyUntil === null ? endMinutes : Math.max(busyUntil, endMinutes);
+        }
+        return gaps;
+    }
+
+    /**
+     * Day, minutes and date at `date` in a fixed-offset timezone, whatever the machine's own zone
+     * @param {Date} date
+     * @param {number} utcOffsetMinutes - e.g. 300 for Pakistan Standard Time
+     * @returns {{day: string, minutes: number, date: string}} date as "YYYY-MM-DD"
+     */
+    function getZonedNow(date, utcOffsetMinutes) {
+        const zoned = new Date(date.getTime() + utcOffsetMinutes * 60 * 1000);
+        return {
+            day: WEEKDAYS[zoned.getUTCDay()],
+            minutes: zoned.getUTCHours() * 60 + zoned.getUTCMinutes(),
+            date: `${zoned.getUTCFullYear()}-${pad(zoned.getUTCMonth() + 1)}-${pad(zoned.getUTCDate())}`
+        };
+    }
+
+    /**
+     * First class starting after `now`
+     * Without a calendar this looks through the rest of the week by weekday; with one it walks
+     * real dates, skipping holidays and exam weeks and following swapped days.
+     * Cancelled classes are skipped; with a calendar only in the current week, since that is
+     * all the sheet's status describes, and one-off makeup classes only count in that week
+     * @param {Array<Object>} schedule
+     * @param {{day: string, minutes: number, date?: string}} now - getZonedNow() output
+     * @param {Object} [calendar] - SemesterCalendar.normalizeCalendar() output
+     * @returns {{cls: Object, daysAhead: number, date?: string}|null} date only with a calendar
+     */
+    function getNextClass(schedule, now, calendar = null) {
+        const today = WEEKDAYS.indexOf(now.day);
+        const lookahead = calendar ? NEXT_CLASS_LOOKAHEAD_DAYS : 7;
+
+        for (let daysAhead = 0; daysAhead < lookahead; daysAhead++) {
+            const date = calendar ? SemesterCalendar.addDays(now.date, daysAhead) : undefined;
+            const day = calendar ? SemesterCalendar.getScheduleDay(calendar, date) : WEEKDAYS[(today + daysAhead) % 7];
+            if (!day) continue;
+
+            const thisWeek = !calendar || SemesterCalendar.getWeekStart(date) === SemesterCalendar.getWeekStart(now.date);
+            const cls = getDayClasses(schedule, day).find(candidate =>
+                (thisWeek ? isHeldInSlot(candidate) : !isOneOff(candidate)) &&
+                getClassMinutes(candidate).startMinutes !== null &&
+                (daysAhead > 0 || getClassMinutes(candidate).startMinutes > now.minutes)
+            );
+            if (cls) return { cls, daysAhead, date };
+        }
+
+        return null;
+    }
+
+    // ========================================
+    // Export
+    // ========================================
+
+    /**
+     * Schedule entries in the shape ICalendar.buildCalendar takes
+     * @param {Array<Object>} schedule
+     * @param {{section: string, defaultMinutes?: number}} options
+     */
+    function toCalendarEvents(schedule, { section, defaultMinutes = DEFAULT_CLASS_MINUTES }) {
+        return schedule
+            .filter(cls => cls.subject && TimetableParser.parseTime(cls.time))
+            .map(cls => ({
+                ...getClassMinutes(cls, defaultMinutes),
+                day: cls.day,
+                subject: cls.subject,
+                room: cls.room,
+                status: cls.status,
+                isLab: cls.isLab,
+                teacher: cls.teacher,
+                section: cls.section || section,
+                movedTo: cls.movedTo || null
+            }));
+    }
+
+    /**
+     * Quote a CSV field when it holds a comma, quote or line break (RFC 4180)
+     */
+    function csvField(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * One row per class with 24-hour start/end times
+     * @returns {string} CSV with a header row and CRLF line endings
+     */
+    function scheduleToCsv(schedule) {
+        const header = ['Day', 'Start', 'End', 'Subject', 'Room', 'Type', 'Status', 'Teacher'];
+        const rows = sortSchedule(schedule).map(cls => {
+            const { startMinutes, endMinutes } = getClassMinutes(cls);
+            const clock = minutes => (minutes === null ? '' : `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`);
+            return [
+                cls.day,
+                clock(startMinutes) || cls.time,
+                clock(endMinutes),
+                cls.subject,
+                cls.room,
+                cls.isLab ? 'Lab' : 'Lecture',
+                cls.status,
+                cls.teacher
+            ];
+        });
+
+        return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Whether a normalized (trimmed, upper-cased) section name is one a profile may use
+     * The page and the proxy both check profiles with this, so a saved profile is never refused
+     */
+    function isValidSection(section) {
+        return typeof section === 'string' && SECTION_PATTERN.test(section);
+    }
+
+    const ScheduleCore = {
+        DAYS,
+        DEFAULT_CLASS_MINUTES,
+        isValidSection,
+        loadSchedule,
+        mergeFailedDays,
+        linkMovedClasses,
+        getClassMinutes,
+        sortSchedule,
+        isHeldInSlot,
+        isOneOff,
+        getDayClasses,
+        getFreePeriods,
+        getZonedNow,
+        getNextClass,
+        toCalendarEvents,
+        csvField,
+        scheduleToCsv
+    };
+
+    if (isNode) {
+        module.exports = ScheduleCore;
+    } else {
+        root.ScheduleCore = ScheduleCore;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,373 @@
+/**
+ * Sheet Sources
+ * Readers that turn published CSV, recorded JSON and .xlsx workbooks into the grid shape the
+ * Sheets API v4 returns ({ rowData: [{ values: [{ formattedValue, effectiveFormat }] }] }),
+ * so every data source feeds the same timetable parser. Also fetches tabs over the network.
+ * Has no DOM dependencies so it can be loaded as a browser script or required from Node.
+ */
+(function (root) {
+    'use strict';
+
+    // ========================================
+    // Grid Shape
+    // ========================================
+
+    function toCell(value, backgroundColor) {
+        const cell = {};
+        if (value !== undefined && value !== null && value !== '') cell.formattedValue = String(value);
+        if (backgroundColor) cell.effectiveFormat = { backgroundColor };
+        return cell;
+    }
+
+    /**
+     * Build grid data from plain rows of cell text
+     * @param {Array<Array<string>>} rows
+     */
+    function rowsToGridData(rows) {
+        return { rowData: rows.map(row => ({ values: row.map(value => toCell(value)) })) };
+    }
+
+    /**
+     * Whether any cell carries a background color; CSV exports and hand-written JSON carry none,
+     * in which case batch colors cannot be told apart
+     */
+    function hasBackgroundColors(gridData) {
+        return Boolean(gridData?.rowData?.some(row =>
+            row?.values?.some(cell => cell?.effectiveFormat?.backgroundColor)
+        ));
+    }
+
+    // ========================================
+    // CSV
+    // ========================================
+
+    /**
+     * Parse CSV text (RFC 4180: quoted fields, doubled quotes, line breaks inside quotes)
+     * @returns {Array<Array<string>>}
+     */
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    function csvToGridData(text) {
+        return rowsToGridData(parseCsv(text.replace(/^\uFEFF/, '')));
+    }
+
+    // ========================================
+    // Recorded JSON
+    // ========================================
+
+    /**
+     * Accept a Sheets API response, bare grid data or plain rows of text
+     */
+    function toGridData(value) {
+        if (Array.isArray(value)) return rowsToGridData(value);
+        if (value?.sheets) return value.sheets[0]?.data?.[0] || null;
+        if (value?.rowData) return value;
+        return null;
+    }
+
+    /**
+     * Read a JSON file of recorded sheets, keyed by sheet name, e.g.
+     * { "Monday": <Sheets API response | grid data | rows of text>, "Tuesday": ... }
+     * @returns {Object<string, Object>} Grid data by sheet name
+     * @throws {Error} When the file is not JSON or holds no sheets
+     */
+    function readRecordedSheets(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+
+        const sheets = {};
+        for (const [name, value] of Object.entries(data && typeof data === 'object' ? data : {})) {
+            const gridData = toGridData(value);
+            if (gridData) sheets[name] = gridData;
+        }
+
+        if (Object.keys(sheets).length === 0) {
+            throw new Error('File does not contain any sheets');
+        }
+        return sheets;
+    }
+
+    // ========================================
+    // XLSX
+    // ========================================
+
+    const textDecoder = new TextDecoder();
+
+    /**
+     * List the files in a zip archive (no zip64, no encryption, which .xlsx files never need)
+     */
+    function readZipEntries(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // End of central directory record: scan back over the optional comment
+        let eocd = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) throw new Error('File is not an .xlsx workbook');
+
+        const entries = new Map();
+        const count = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) break;
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = textDecoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            // The local header repeats the name and has its own extra field length
+            const dataStart = localOffset + 30 +
+                view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            entries.set(name, { method, data: bytes.subarray(dataStart, dataStart + compressedSize) });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    async function readZipText(entries, name) {
+        const entry = entries.get(name);
+        if (!entry) return null;
+        if (entry.method === 0) return textDecoder.decode(entry.data);
+        if (entry.method !== 8) throw new Error(`Unsupported compression in ${name}`);
+
+        const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return textDecoder.decode(await new Response(stream).arrayBuffer());
+    }
+
+    function decodeXml(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+            .replace(/&amp;/g, '&');
+    }
+
+    function readAttribute(tag, name) {
+        const match = new RegExp(`\\s${name}="([^"]*)"`).exec(tag);
+        return match ? decodeXml(match[1]) : null;
+    }
+
+    // Text of every <t> run, e.g. a shared string with rich formatting
+    function readTextRuns(xml) {
+        return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(match => decodeXml(match[1])).join('');
+    }
+
+    function readSharedStrings(xml) {
+        if (!xml) return [];
+        return [...xml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => readTextRuns(match[1]));
+    }
+
+    /**
+     * Background color of each cell style index, in the Sheets API's 0-1 float channels
+     */
+    function readStyleColors(xml) {
+        if (!xml) return [];
+
+        const fillsXml = /<fills[^>]*>([\s\S]*?)<\/fills>/.exec(xml)?.[1] || '';
+        const fills = [...fillsXml.matchAll(/<fill>([\s\S]*?)<\/fill>/g)].map(match => {
+            const rgb = /<fgColor[^>]*\srgb="([0-9A-Fa-f]{8})"/.exec(match[1])?.[1];
+            if (!rgb || !/patternType="solid"/.test(match[1])) return null;
+            const value = parseInt(rgb.slice(2), 16);
+            return {
+                red: ((value >> 16) & 255) / 255,
+                green: ((value >> 8) & 255) / 255,
+                blue: (value & 255) / 255
+            };
+        });
+
+        const xfsXml = /<cellXfs[^>]*>([\s\S]*?)<\/cellXfs>/.exec(xml)?.[1] || '';
+        return [...xfsXml.matchAll(/<xf\b[^>]*>/g)].map(match => fills[Number(readAttribute(match[0], 'fillId'))] || null);
+    }
+
+    // "AB12" -> 27 (zero-based column)
+    function columnIndex(reference) {
+        const letters = /^[A-Z]+/.exec(reference)?.[0] || 'A';
+        return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    }
+
+    function readWorksheet(xml, sharedStrings, styleColors) {
+        const rowData = [];
+
+        for (const rowMatch of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+            const rowIndex = Number(readAttribute(rowMatch[1], 'r')) - 1;
+            const values = [];
+
+            for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+                const attributes = cellMatch[1];
+                const body = cellMatch[2] || '';
+                const type = readAttribute(attributes, 't');
+                const raw = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1];
+
+                let value;
+                if (type === 's') value = sharedStrings[Number(raw)];
+                else if (type === 'inlineStr') value = readTextRuns(body);
+                else if (raw !== undefined) value = decodeXml(raw);
+
+                const style = readAttribute(attributes, 's');
+                values[columnIndex(readAttribute(attributes, 'r') || '')] = toCell(value, styleColors[Number(style)]);
+            }
+
+            rowData[rowIndex] = { values: Array.from(values, cell => cell || {}) };
+        }
+
+        return { rowData: Array.from(rowData, row => row || { values: [] }) };
+    }
+
+    /**
+     * Read every worksheet of an .xlsx workbook, keeping cell text and solid fill colors
+     * @param {ArrayBuffer|Uint8Array} buffer - File contents
+     * @returns {Promise<Object<string, Object>>} Grid data by sheet name
+     * @throws {Error} When the file is not a readable workbook
+     */
+    async function readXlsx(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const entries = readZipEntries(bytes);
+
+        const workbook = await readZipText(entries, 'xl/workbook.xml');
+        if (!workbook) throw new Error('File is not an .xlsx workbook');
+
+        const relations = await readZipText(entries, 'xl/_rels/workbook.xml.rels') || '';
+        const targets = new Map([...relations.matchAll(/<Relationship\b[^>]*>/g)].map(match => [
+            readAttribute(match[0], 'Id'),
+            readAttribute(match[0], 'Target')
+        ]));
+
+        const sharedStrings = readSharedStrings(await readZipText(entries, 'xl/sharedStrings.xml'));
+        const styleColors = readStyleColors(await readZipText(entries, 'xl/styles.xml'));
+
+        const sheets = {};
+        for (const match of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+            const name = readAttribute(match[0], 'name');
+            const target = targets.get(readAttribute(match[0], 'r:id')) || '';
+            const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+            const xml = await readZipText(entries, path);
+            if (name && xml) sheets[name] = readWorksheet(xml, sharedStrings, styleColors);
+        }
+
+        return sheets;
+    }
+
+    // ========================================
+    // Network
+    // ========================================
+
+    const SHEETS_API_URL = 'https://sheets.googleapis.com/v4/spreadsheets/{id}?ranges={sheet}&includeGridData=true&key={key}';
+
+    // "Publish to web" CSV of one tab; needs no API key
+    const PUBLISHED_CSV_URL = 'https://docs.google.com/spreadsheets/d/{id}/gviz/tq?tqx=out:csv&headers=0&sheet={sheet}';
+
+    function fillUrl(template, sheetName, { sheetId, apiKey = '' }) {
+        return template
+            .replace('{id}', encodeURIComponent(sheetId))
+            .replace('{sheet}', encodeURIComponent(sheetName))
+            .replace('{key}', encodeURIComponent(apiKey));
+    }
+
+    /**
+     * Fetch one tab from the Sheets API v4 with includeGridData
+     * This gives us access to cell formatting (colors) for proper batch filtering
+     * @param {string} sheetName - Name of the sheet tab (e.g., 'Monday')
+     * @param {{sheetId: string, apiKey: string}} options
+     * @returns {Promise<Object>} The tab's grid data
+     * @throws {Error} With the API's message when the request fails
+     */
+    async function fetchSheetsApiGrid(sheetName, options) {
+        const response = await fetch(fillUrl(SHEETS_API_URL, sheetName, options));
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok || data.error) {
+            throw new Error(data.error?.message || `HTTP ${response.status}`);
+        }
+
+        // Return the first sheet's data
+        return data.sheets?.[0]?.data?.[0];
+    }
+
+    /**
+     * Fetch one tab through the published CSV endpoint; carries no cell colors
+     * @param {string} sheetName
+     * @param {{sheetId: string}} options
+     * @returns {Promise<Object>} Grid data in the Sheets API shape
+     */
+    async function fetchPublishedCsvGrid(sheetName, options) {
+        const response = await fetch(fillUrl(PUBLISHED_CSV_URL, sheetName, options));
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return csvToGridData(await response.text());
+    }
+
+    const SheetSources = {
+        rowsToGridData,
+        hasBackgroundColors,
+        parseCsv,
+        csvToGridData,
+        readRecordedSheets,
+        readXlsx,
+        fetchSheetsApiGrid,
+        fetchPublishedCsvGrid
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SheetSources;
+    } else {
+        root.SheetSources = SheetSources;
+    }
+})(typeof self !== 'undefined' ? self : this);
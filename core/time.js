@@ -0,0 +1,208 @@
+/**
+ * Time Model
+ * Parses the time ranges found in timetable header cells and class cells
+ * ("08:30-09:50", "8:30 – 9:50", "11:30 AM–12:50 PM", "14:30-15:50") into minutes after midnight.
+ * Has no DOM dependencies so it can be loaded as a browser script or required from Node.
+ */
+(function (root) {
+    'use strict';
+
+    // Classes run between 07:00 and ~21:00, so a bare "1:00" to "6:59" is afternoon/evening
+    // while "7:00" to "11:59" is morning
+    const DAY_START_HOUR = 7;
+
+    // Labs run 2h45m; lectures 1h20m. Anything of at least 2.5 hours is treated as a lab
+    const LAB_MIN_DURATION = 150;
+
+    // "8:30", "08:30 am", "2:30 P.M." - the suffix must not run into a following word
+    const CLOCK = '(\\d{1,2}):(\\d{2})\\s*(?:([ap])\\.?m\\.?(?![a-z]))?';
+    const CLOCK_UNCAPTURED = '\\d{1,2}:\\d{2}\\s*(?:[ap]\\.?m\\.?(?![a-z]))?';
+    const SEPARATOR = '\\s*(?:-|–|—|to)\\s*';
+
+    // Matches a time range anywhere in a string; used to pull embedded times out of cell text
+    const TIME_RANGE_PATTERN = new RegExp(`(${CLOCK_UNCAPTURED}${SEPARATOR}${CLOCK_UNCAPTURED})`, 'i');
+
+    const RANGE_REGEX = new RegExp(`^\\s*${CLOCK}${SEPARATOR}${CLOCK}\\s*$`, 'i');
+    const SINGLE_REGEX = new RegExp(`^\\s*${CLOCK}\\s*$`, 'i');
+
+    const MINUTES_PER_DAY = 24 * 60;
+    const HALF_DAY = 12 * 60;
+
+    /**
+     * Convert a clock reading to minutes after midnight
+     * @param {number} hours - 0-23
+     * @param {number} minutes - 0-59
+     * @param {string|undefined} meridiem - 'a', 'p' or undefined when the cell has no suffix
+     * @returns {number|null}
+     */
+    function toMinutes(hours, minutes, meridiem) {
+        if (hours > 23 || minutes > 59) return null;
+
+        let h = hours;
+        if (meridiem) {
+            if (hours < 1 || hours > 12) return null;
+            h = (hours % 12) + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+        } else if (hours >= 1 && hours < DAY_START_HOUR) {
+            h = hours + 12;
+        }
+
+        return h * 60 + minutes;
+    }
+
+    function makeRange(start, end) {
+        return Object.freeze({
+            start,
+            end,
+            duration: end === null ? null : end - start
+        });
+    }
+
+    /**
+     * Parse a time range or single clock time
+     * @param {string} text - e.g. "08:30-09:50", "2:30 PM – 3:50 PM", "09:30"
+     * @returns {{start: number, end: number|null, duration: number|null}|null}
+     *          Minutes after midnight, or null when the text is not a time
+     */
+    function parseTimeRange(text) {
+        if (typeof text !== 'string') return null;
+
+        const range = RANGE_REGEX.exec(text);
+        if (range) {
+            const [, sh, sm, sMer, eh, em, eMer] = range;
+            const end = toMinutes(Number(eh), Number(em), eMer);
+            // "11:30-12:50 PM": the start takes the end's suffix unless that puts it after the end
+            let start = toMinutes(Number(sh), Number(sm), sMer || eMer);
+            if (!sMer && eMer && start !== null && end !== null && start > end) {
+                start = toMinutes(Number(sh), Number(sm), eMer.toLowerCase() === 'p' ? 'a' : 'p');
+            }
+            if (start === null || end === null) return null;
+
+            // "11:30-02:15" style ranges that still end before they start cross noon
+            let adjustedEnd = end;
+            while (adjustedEnd <= start && adjustedEnd + HALF_DAY < MINUTES_PER_DAY) {
+                adjustedEnd += HALF_DAY;
+            }
+            return adjustedEnd > start ? makeRange(start, adjustedEnd) : null;
+        }
+
+        const single = SINGLE_REGEX.exec(text);
+        if (single) {
+            const start = toMinutes(Number(single[1]), Number(single[2]), single[3]);
+            return start === null ? null : makeRange(start, null);
+        }
+
+        return null;
+    }
+
+    /**
+     * Format minutes after midnight as a 12-hour clock, e.g. 870 -> "2:30 PM"
+     */
+    function formatClock(minutes) {
+        if (minutes === null || minutes === undefined) return '';
+        const h = Math.floor(minutes / 60) % 24;
+        const m = minutes % 60;
+        const suffix = h >= 12 ? 'PM' : 'AM';
+        return `${h % 12 || 12}:${String(m).padStart(2, '0')} ${suffix}`;
+    }
+
+    /**
+     * Format minutes after midnight as a 24-hour "HH:MM" string
+     */
+    function formatClock24(minutes) {
+        if (minutes === null || minutes === undefined) return '';
+        return `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Format a length of time for countdowns, e.g. 25 -> "25 min", 70 -> "1h 10m", 120 -> "2h"
+     */
+    function formatDuration(minutes) {
+        if (minutes < 60) return `${minutes} min`;
+        const h = Math.floor(minutes / 60);
+        const m = minutes % 60;
+        return m ? `${h}h ${m}m` : `${h}h`;
+    }
+
+    function isLabDuration(range, minDuration = LAB_MIN_DURATION) {
+        return Boolean(range && range.duration !== null && range.duration >= minDuration);
+    }
+
+    /**
+     * Sort comparator: earlier start first, then shorter first; unparseable ranges last
+     */
+    function compareRanges(a, b) {
+        if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+        return a.start - b.start || (a.end ?? a.start) - (b.end ?? b.start);
+    }
+
+    /**
+     * Whether two ranges share any minute; a range without an end covers only its start
+     */
+    function rangesOverlap(a, b) {
+        if (!a || !b) return false;
+        const aEnd = a.end ?? a.start + 1;
+        const bEnd = b.end ?? b.start + 1;
+        return a.start < bEnd && b.start < aEnd;
+    }
+
+    /**
+     * Lay ranges out side by side the way a calendar day column does
+     * Ranges chained together by overlaps form a cluster that shares one lane count;
+     * each range takes the first lane that is free at its start
+     * @param {Array<{start: number, end: number|null}|null>} ranges
+     * @returns {Array<{lane: number, lanes: number}|null>} In input order; null for null ranges
+     */
+    function assignLanes(ranges) {
+        const result = ranges.map(() => null);
+        const order = ranges
+            .map((range, index) => ({ range, index }))
+            .filter(({ range }) => range)
+            // Longer ranges first among equal starts, so they keep the leftmost lane
+            .sort((a, b) => a.range.start - b.range.start || (b.range.end ?? 0) - (a.range.end ?? 0));
+
+        let cluster = [];
+        let laneEnds = [];
+        let clusterEnd = -Infinity;
+
+        const closeCluster = () => {
+            cluster.forEach(index => { result[index].lanes = laneEnds.length; });
+            cluster = [];
+            laneEnds = [];
+        };
+
+        for (const { range, index } of order) {
+            const end = range.end ?? range.start + 1;
+            if (range.start >= clusterEnd) closeCluster();
+
+            let lane = laneEnds.findIndex(laneEnd => laneEnd <= range.start);
+            if (lane === -1) lane = laneEnds.length;
+            laneEnds[lane] = end;
+
+            clusterEnd = cluster.length ? Math.max(clusterEnd, end) : end;
+            result[index] = { lane, lanes: 0 };
+            cluster.push(index);
+        }
+        closeCluster();
+
+        return result;
+    }
+
+    const ScheduleTime = {
+        TIME_RANGE_PATTERN,
+        LAB_MIN_DURATION,
+        parseTimeRange,
+        formatClock,
+        formatClock24,
+        formatDuration,
+        isLabDuration,
+        compareRanges,
+        rangesOverlap,
+        assignLanes
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ScheduleTime;
+    } else {
+        root.ScheduleTime = ScheduleTime;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,204 @@
+/**
+ * Schedule Proxy
+ * Optional Node server that keeps the Google Sheets API key off the client. It fetches the
+ * timetable tabs, parses them with core/schedule.js (the same code the page runs), caches the
+ * result and serves normalized JSON to the app.
+ *
+ * Usage: SHEETS_API_KEY=... node server/proxy.js
+ * Then point CONFIG.PROXY_URL in app.js at http://localhost:8787/api
+ */
+'use strict';
+
+const http = require('node:http');
+const SheetSources = require('../core/sources.js');
+const ScheduleCore = require('../core/schedule.js');
+
+// ========================================
+// Configuration
+// ========================================
+const CONFIG = {
+    PORT: Number(process.env.PORT) || 8787,
+
+    SHEET_ID: process.env.SHEET_ID || '1ZQJqdArlwCS965uw4sbJrB6j8rEPfZerMT7X8qkXSzY',
+    API_KEY: process.env.SHEETS_API_KEY || '',
+
+    SHEET_NAMES: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    FACULTY_SHEET_NAME: 'Faculty',
+
+    // Matches the app's auto-refresh, so each client refresh costs at most one round of API calls
+    CACHE_TTL: (Number(process.env.CACHE_TTL_SECONDS) || 5 * 60) * 1000,
+
+    // A failed fetch (say, a tab that does not exist) is not retried for this long, so clients
+    // refreshing against a missing tab do not each cost an API call
+    FAILURE_TTL: 60 * 1000,
+
+    // Origin allowed to read responses; set to the app's origin in production
+    ALLOWED_ORIGIN: process.env.ALLOWED_ORIGIN || '*',
+
+    DEFAULT_PROFILE: {
+        section: 'SE-C',
+        color: '#85200c',
+        tolerance: 0.05
+    }
+};
+
+// ========================================
+// Sheet Cache
+// ========================================
+
+// Per sheet name: { promise, gridData, fetchedAt, error, failedAt }
+// Profiles share the cached tabs, so extra sections never cost extra API calls
+const sheetCache = new Map();
+
+/**
+ * Cached grid data for one tab
+ * A failed refresh falls back to the last good copy, flagged as stale; either way the failure is
+ * remembered for FAILURE_TTL before the tab is fetched again
+ * @returns {Promise<{gridData: Object, fetchedAt: number, stale: boolean}>}
+ */
+async function getSheet(sheetName) {
+    const cached = sheetCache.get(sheetName);
+    const now = Date.now();
+
+    if (cached?.promise) return cached.promise;
+    if (cached?.failedAt && now - cached.failedAt < CONFIG.FAILURE_TTL) {
+        if (!cached.gridData) throw cached.error;
+        return { gridData: cached.gridData, fetchedAt: cached.fetchedAt, stale: true };
+    }
+    if (cached?.gridData && !cached.failedAt && now - cached.fetchedAt < CONFIG.CACHE_TTL) {
+        return { gridData: cached.gridData, fetchedAt: cached.fetchedAt, stale: false };
+    }
+
+    const promise = SheetSources.fetchSheetsApiGrid(sheetName, { sheetId: CONFIG.SHEET_ID, apiKey: CONFIG.API_KEY })
+        .then(gridData => {
+            const entry = { gridData, fetchedAt: Date.now() };
+            sheetCache.set(sheetName, entry);
+            return { ...entry, stale: false };
+        })
+        .catch(error => {
+            sheetCache.set(sheetName, { gridData: cached?.gridData, fetchedAt: cached?.fetchedAt, error, failedAt: Date.now() });
+            if (!cached?.gridData) throw error;
+            console.warn(`Serving stale ${sheetName}:`, error.message);
+            return { gridData: cached.gridData, fetchedAt: cached.fetchedAt, stale: true };
+        });
+
+    sheetCache.set(sheetName, { ...cached, promise });
+    return promise;
+}
+
+// ========================================
+// Schedule
+// ========================================
+
+/**
+ * Validate profile query parameters the same way the app normalizes them
+ * @returns {{section: string, color: string, tolerance: number}|null} null when invalid
+ */
+function readProfile(params) {
+    const section = (params.get('section') || CONFIG.DEFAULT_PROFILE.section).trim().toUpperCase();
+    const color = (params.get('color') || CONFIG.DEFAULT_PROFILE.color).trim().toLowerCase();
+    const tolerance = params.has('tolerance') ? Number(params.get('tolerance')) : CONFIG.DEFAULT_PROFILE.tolerance;
+
+    if (!ScheduleCore.isValidSection(section)) return null;
+    if (!/^#[0-9a-f]{6}$/.test(color)) return null;
+    if (!Number.isFinite(tolerance) || tolerance < 0 || tolerance > 1) return null;
+
+    return { section, color, tolerance };
+}
+
+/**
+ * Parse every day tab for a profile
+ * @returns {Promise<{profile: Object, fetchedAt: string, days: Object, schedule: Array, occupancy: Object}>}
+ */
+async function loadSchedule(profile) {
+    const sheets = {};
+    const { schedule, occupancy, days } = await ScheduleCore.loadSchedule({
+        profile,
+        days: CONFIG.SHEET_NAMES,
+        facultySheet: CONFIG.FACULTY_SHEET_NAME,
+        fetchSheet: async (name) => {
+            sheets[name] = await getSheet(name);
+            return sheets[name].gridData;
+        }
+    });
+
+    for (const [day, result] of Object.entries(days)) {
+        if (result.ok) result.stale = sheets[day].stale;
+    }
+
+    const fetchedAt = Math.min(Date.now(), ...Object.values(sheets).map(sheet => sheet.fetchedAt));
+    return { profile, fetchedAt: new Date(fetchedAt).toISOString(), days, schedule, occupancy };
+}
+
+// ========================================
+// HTTP Server
+// ========================================
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': CONFIG.ALLOWED_ORIGIN
+    });
+    res.end(JSON.stringify(body));
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': CONFIG.ALLOWED_ORIGIN,
+            'Access-Control-Allow-Methods': 'GET, OPTIONS'
+        });
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    if (url.pathname === '/api/health') {
+        sendJson(res, 200, { ok: true, cachedSheets: [...sheetCache.keys()] });
+        return;
+    }
+
+    if (url.pathname === '/api/schedule') {
+        const profile = readProfile(url.searchParams);
+        if (!profile) {
+            sendJson(res, 400, { error: 'Invalid section, color or tolerance' });
+            return;
+        }
+
+        const result = await loadSchedule(profile);
+        const anyDay = Object.values(result.days).some(day => day.ok);
+        sendJson(res, anyDay ? 200 : 502, anyDay ? result : { error: 'Timetable could not be fetched', days: result.days });
+        return;
+    }
+
+    sendJson(res, 404, { error: 'Not found' });
+}
+
+function createServer() {
+    return http.createServer((req, res) => {
+        handleRequest(req, res).catch(error => {
+            console.error('Request failed:', error);
+            sendJson(res, 500, { error: 'Internal error' });
+        });
+    });
+}
+
+if (require.main === module) {
+    if (!CONFIG.API_KEY) {
+        console.error('Set SHEETS_API_KEY to a Google Sheets API key');
+        process.exit(1);
+    }
+
+    createServer().listen(CONFIG.PORT, () => {
+        console.log(`Schedule proxy listening on http://localhost:${CONFIG.PORT}/api/schedule`);
+    });
+}
+
+module.exports = { createServer, loadSchedule, readProfile };
@@ -0,0 +1,141 @@
+/**
+ * Service Worker for the BS SE Section Schedule
+ * Precaches the app shell so the app opens with no network, keeps Google Fonts
+ * available offline and wakes open pages to refresh the timetable in the background
+ */
+
+// ========================================
+// Configuration
+// ========================================
+// Bump whenever a precached file or the list below changes: installed clients only replace
+// the shell cache when this changes, and mixing a new app.js with old core/ modules breaks the app
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `se-schedule-shell-${CACHE_VERSION}`;
+const FONT_CACHE = 'se-schedule-fonts';
+
+// App shell files, relative to the service worker scope
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'index.css',
+    'app.js',
+    'core/time.js',
+    'core/calendar.js',
+    'core/ics.js',
+    'core/diff.js',
+    'core/assessments.js',
+    'core/sources.js',
+    'core/parser.js',
+    'core/schedule.js',
+    'core/attendance.js',
+    'core/html.js',
+    'core/cards.js',
+    'semester.json',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+const FONT_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+// Tag shared with app.js for one-off and periodic background sync
+const SYNC_TAG = 'refresh-schedule';
+
+// ========================================
+// Lifecycle
+// ========================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('se-schedule-shell-') && key !== SHELL_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ========================================
+// Fetch Strategies
+// ========================================
+
+/**
+ * Serve from cache immediately and update the cached copy from the network
+ * Falls back to the network when nothing is cached yet
+ */
+async function staleWhileRevalidate(request, cacheName, matchOptions) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, matchOptions);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Navigations carry profile parameters (?section=...), so match the shell page without them
+    if (request.mode === 'navigate') {
+        event.respondWith(staleWhileRevalidate(new Request('index.html'), SHELL_CACHE));
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE, { ignoreSearch: true }));
+        return;
+    }
+
+    if (FONT_ORIGINS.includes(url.origin)) {
+        event.respondWith(staleWhileRevalidate(request, FONT_CACHE));
+    }
+
+    // Sheets API requests go straight to the network; the app keeps the last
+    // parsed schedule in localStorage and falls back to it
+});
+
+// ========================================
+// Background Sync
+// ========================================
+
+/**
+ * Ask every open page to refetch the timetable
+ * Parsing needs the page's profile and parser, so the refresh itself runs in app.js
+ */
+async function notifyClientsToRefresh() {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: SYNC_TAG }));
+}
+
+// One-off sync, registered by the app when a refresh fails while offline
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(notifyClientsToRefresh());
+    }
+});
+
+// Periodic sync, registered by the app where the browser allows it
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(notifyClientsToRefresh());
+    }
+});
@@ -0,0 +1,146 @@
+/**
+ * Attendance tests: session expansion, one-off makeup classes, sheet cancellations, per-subject summaries and CSV export
+ * Run with: node --test
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Attendance = require('../core/attendance.js');
+const SemesterCalendar = require('../core/calendar.js');
+const ScheduleCore = require('../core/schedule.js');
+
+const schedule = [
+    { day: 'Monday', time: '8:30-9:50', subject: 'Data Structures', room: 'Room 5', isLab: false, status: 'normal' },
+    { day: 'Monday', time: '11:30-12:50', subject: 'Data Structures', room: 'Lab 2', isLab: true, status: 'normal' },
+    { day: 'Wednesday', time: '10:00-11:20', subject: 'Linear Algebra', room: 'Room 3', isLab: false, status: 'cancelled' }
+];
+
+// 2026-02-02 is a Monday
+const week = { start: '2026-02-02', end: '2026-02-08' };
+
+test('expands the weekly schedule into dated sessions', () => {
+    const sessions = Attendance.listSessions(schedule, { start: '2026-02-02', end: '2026-02-11' });
+    assert.deepEqual(sessions.map(session => session.id), [
+        '2026-02-02|data structures',
+        '2026-02-02|data structures#2',
+        '2026-02-04|linear algebra',
+        '2026-02-09|data structures',
+        '2026-02-09|data structures#2',
+        '2026-02-11|linear algebra'
+    ]);
+    assert.equal(sessions[2].sheetStatus, 'cancelled');
+});
+
+test('skips holidays and follows swapped days on the semester calendar', () => {
+    const calendar = SemesterCalendar.normalizeCalendar({
+        holidays: [{ date: '2026-02-04', name: 'Kashmir Solidarity Day' }],
+        swaps: [{ date: '2026-02-05', follows: 'Monday' }]
+    }, { start: '2026-02-02', end: '2026-02-08' });
+
+    const sessions = Attendance.listSessions(schedule, { ...week, calendar });
+    assert.deepEqual(sessions.map(session => `${session.id} ${session.day}`), [
+        '2026-02-02|data structures Monday',
+        '2026-02-02|data structures#2 Monday',
+        '2026-02-05|data structures Monday',
+        '2026-02-05|data structures#2 Monday'
+    ]);
+});
+
+test('places a makeup class only in the week the sheet reports it', () => {
+    const withMakeup = [
+        ...schedule,
+        { day: 'Saturday', time: '10:00-11:20', subject: 'Linear Algebra', room: 'Room 3', isLab: false, status: 'makeup' }
+    ];
+    const range = { start: '2026-02-02', end: '2026-02-22' };
+
+    const sessions = Attendance.listSessions(withMakeup, { ...range, reportedWeek: '2026-02-09' });
+    assert.deepEqual(sessions.filter(session => session.sheetStatus === 'makeup').map(session => session.id), [
+        '2026-02-14|linear algebra'
+    ]);
+    assert.equal(Attendance.listSessions(withMakeup, range).some(session => session.sheetStatus === 'makeup'), false);
+
+    const [, algebra] = Attendance.summarizeAttendance(sessions, {}, { threshold: 80, plannedSessions: sessions });
+    assert.equal(algebra.unmarked, 4);
+});
+
+test('counts a rescheduled class once, in its new slot, in the week the sheet reports it', () => {
+    const moved = [
+        ...schedule.slice(0, 2),
+        { ...schedule[2], status: 'rescheduled', target: { day: 'Friday', time: null, room: null } }
+    ];
+    ScheduleCore.linkMovedClasses(moved);
+    const range = { start: '2026-02-02', end: '2026-02-15' };
+
+    const sessions = Attendance.listSessions(moved, { ...range, reportedWeek: '2026-02-02' })
+        .filter(session => session.subject === 'Linear Algebra');
+    assert.deepEqual(sessions.map(session => `${session.id} ${session.sheetStatus}`), [
+        '2026-02-06|linear algebra makeup',
+        '2026-02-11|linear algebra rescheduled'
+    ]);
+});
+
+test('leaves out sessions on the last day that have not started', () => {
+    const sessions = Attendance.listSessions(schedule, { start: '2026-02-02', end: '2026-02-02', minutes: 10 * 60 });
+    assert.deepEqual(sessions.map(session => session.time), ['8:30-9:50']);
+});
+
+test('records and withdraws sheet cancellations without touching manual marks', () => {
+    const sessions = Attendance.listSessions(schedule, week);
+    const first = Attendance.applySheetCancellations({}, sessions);
+    assert.equal(first.changed, true);
+    assert.deepEqual(first.log, { '2026-02-04|linear algebra': { status: 'cancelled', auto: true } });
+    assert.equal(Attendance.applySheetCancellations(first.log, sessions).changed, false);
+
+    const reinstated = Attendance.listSessions(schedule.map(cls => ({ ...cls, status: 'normal' })), week);
+    assert.deepEqual(Attendance.applySheetCancellations(first.log, reinstated).log, {});
+
+    const manual = { '2026-02-04|linear algebra': { status: 'present' } };
+    assert.deepEqual(Attendance.applySheetCancellations(manual, sessions), { log: manual, changed: false });
+});
+
+test('summarizes attendance and flags courses heading below the threshold', () => {
+    // Ten weeks: 20 Data Structures sessions and 10 Linear Algebra sessions
+    const planned = Attendance.listSessions(schedule, { start: '2026-02-02', end: '2026-04-12' });
+    const past = Attendance.listSessions(schedule, { start: '2026-02-02', end: '2026-02-15' });
+    const log = {
+        '2026-02-02|data structures': { status: 'present' },
+        '2026-02-02|data structures#2': { status: 'absent' },
+        '2026-02-09|data structures': { status: 'absent' },
+        '2026-02-09|data structures#2': { status: 'absent' },
+        '2026-02-04|linear algebra': { status: 'cancelled', auto: true },
+        '2026-02-11|linear algebra': { status: 'present' }
+    };
+
+    const summary = Attendance.summarizeAttendance(past, log, { threshold: 80, plannedSessions: planned });
+    assert.deepEqual(summary, [
+        {
+            subject: 'Data Structures', present: 1, absent: 3, cancelled: 0, unmarked: 0,
+            percentage: 25, absencesLeft: 1, level: 'warning'
+        },
+        {
+            subject: 'Linear Algebra', present: 1, absent: 0, cancelled: 1, unmarked: 0,
+            percentage: 100, absencesLeft: 1, level: 'warning'
+        }
+    ]);
+
+    const lenient = Attendance.summarizeAttendance(past, log, { threshold: 50, plannedSessions: planned });
+    assert.deepEqual(lenient.map(entry => [entry.absencesLeft, entry.level]), [[7, 'warning'], [4, 'ok']]);
+
+    const strict = Attendance.summarizeAttendance(past, log, { threshold: 90, plannedSessions: planned });
+    assert.equal(strict[0].level, 'shortage');
+});
+
+test('exports one CSV row per session', () => {
+    const sessions = Attendance.listSessions(schedule, week);
+    const csv = Attendance.attendanceToCsv(sessions, {
+        '2026-02-02|data structures': { status: 'present' },
+        '2026-02-04|linear algebra': { status: 'cancelled', auto: true }
+    });
+
+    assert.deepEqual(csv.trimEnd().split('\r\n'), [
+        'Date,Day,Time,Subject,Room,Type,Attendance,Source',
+        '2026-02-02,Monday,8:30-9:50,Data Structures,Room 5,Lecture,Present,Manual',
+        '2026-02-02,Monday,11:30-12:50,Data Structures,Lab 2,Lab,Not marked,',
+        '2026-02-04,Wednesday,10:00-11:20,Linear Algebra,Room 3,Lecture,Cancelled,Sheet'
+    ]);
+});
@@ -0,0 +1,122 @@
+/**
+ * Semester calendar tests: date parsing, day resolution and the sheet's calendar tab
+ * Run with: node --test
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SemesterCalendar = require('../core/calendar.js');
+const ScheduleCore = require('../core/schedule.js');
+
+const defaults = { label: 'Spring 2026', start: '2026-01-19', end: '2026-05-22' };
+const calendar = SemesterCalendar.normalizeCalendar(require('../semester.json'), defaults);
+
+// Builds Sheets API grid data from rows of cell text
+const toGrid = rows => ({ rowData: rows.map(row => ({ values: row.map(text => ({ formattedValue: text })) })) });
+
+test('reads dates the way sheets show them', () => {
+    for (const text of ['2026-03-23', '23-Mar-2026', '23 March 2026', 'March 23, 2026', '23/03/2026']) {
+        assert.equal(SemesterCalendar.parseDate(text), '2026-03-23', text);
+    }
+    for (const text of ['', '2026-02-30', '31/02/2026', 'next Monday']) {
+        assert.equal(SemesterCalendar.parseDate(text), null, text);
+    }
+});
+
+test('finds the Monday of a week', () => {
+    assert.equal(SemesterCalendar.getWeekStart('2026-03-23'), '2026-03-23');
+    assert.equal(SemesterCalendar.getWeekStart('2026-03-26'), '2026-03-23');
+    assert.equal(SemesterCalendar.getWeekStart('2026-03-29'), '2026-03-23');
+});
+
+test('resolves each date to the day tab it follows', () => {
+    const describe = date => {
+        const { kind, scheduleDay, name } = SemesterCalendar.getDayInfo(calendar, date);
+        return [kind, scheduleDay, name];
+    };
+
+    assert.deepEqual(describe('2026-01-12'), ['before', null, '']);
+    assert.deepEqual(describe('2026-02-04'), ['class', 'Wednesday', '']);
+    assert.deepEqual(describe('2026-02-05'), ['holiday', null, 'Kashmir Solidarity Day']);
+    assert.deepEqual(describe('2026-03-11'), ['exam', null, 'Midterm exams']);
+    assert.deepEqual(describe('2026-03-23'), ['holiday', null, 'Eid ul-Fitr and Pakistan Day']);
+    assert.deepEqual(describe('2026-03-26'), ['swap', 'Monday', 'Make-up for Pakistan Day']);
+    assert.deepEqual(describe('2026-05-25'), ['after', null, '']);
+
+    // Without a calendar every date follows its weekday
+    assert.equal(SemesterCalendar.getScheduleDay(null, '2026-03-26'), 'Thursday');
+});
+
+test('counts teaching weeks from the week the semester starts in', () => {
+    assert.equal(SemesterCalendar.getSemesterWeek(calendar, '2026-01-19'), 1);
+    assert.equal(SemesterCalendar.getSemesterWeek(calendar, '2026-01-25'), 1);
+    assert.equal(SemesterCalendar.getSemesterWeek(calendar, '2026-03-26'), 10);
+    assert.equal(SemesterCalendar.getSemesterWeek(calendar, '2026-06-01'), null);
+});
+
+test('drops calendar entries that cannot be read', () => {
+    const normalized = SemesterCalendar.normalizeCalendar({
+        start: 'soon',
+        holidays: [{ date: '2026-02-05' }, { start: '2026-03-24', end: '2026-03-20' }, { name: 'No date' }],
+        swaps: [{ date: '2026-03-26', follows: 'Funday' }, { date: '2026-03-27', follows: 'mon' }]
+    }, defaults);
+
+    assert.equal(normalized.start, defaults.start);
+    assert.deepEqual(normalized.holidays, [{ start: '2026-02-05', end: '2026-02-05', name: '' }]);
+    assert.deepEqual(normalized.swaps, [{ date: '2026-03-27', follows: 'Monday', name: '' }]);
+});
+
+test('parses a calendar tab below a title row', () => {
+    const raw = SemesterCalendar.parseCalendarSheet(toGrid([
+        ['Academic Calendar Spring 2026'],
+        ['Date', 'End Date', 'Type', 'Event', 'Follows'],
+        ['19-Jan-2026', '', 'Semester start', '', ''],
+        ['5-Feb-2026', '', 'Public holiday', 'Kashmir Solidarity Day', ''],
+        ['9-Mar-2026', '14-Mar-2026', 'Midterm exams', 'Midterms', ''],
+        ['26-Mar-2026', '', 'Make-up day', 'Monday schedule', ''],
+        ['27-Mar-2026', '', 'Swap', '', 'Tuesday'],
+        ['30-Mar-2026', '3-Apr-2026', 'Mid-semester break', 'Spring break', ''],
+        ['4-May-2026', '', 'Mids', 'Second sessional', ''],
+        ['22-May-2026', '', 'Semester end', '', '']
+    ]));
+
+    assert.deepEqual(SemesterCalendar.normalizeCalendar(raw, { start: '2026-01-01', end: '2026-12-31' }), {
+        label: '',
+        start: '2026-01-19',
+        end: '2026-05-22',
+        holidays: [
+            { start: '2026-02-05', end: '2026-02-05', name: 'Kashmir Solidarity Day' },
+            { start: '2026-03-30', end: '2026-04-03', name: 'Spring break' }
+        ],
+        exams: [
+            { start: '2026-03-09', end: '2026-03-14', name: 'Midterms' },
+            { start: '2026-05-04', end: '2026-05-04', name: 'Second sessional' }
+        ],
+        swaps: [
+            { date: '2026-03-26', follows: 'Monday', name: 'Monday schedule' },
+            { date: '2026-03-27', follows: 'Tuesday', name: '' }
+        ]
+    });
+});
+
+test('returns null for a calendar tab without a header', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    assert.equal(SemesterCalendar.parseCalendarSheet(toGrid([['Holidays'], ['5 Feb']])), null);
+});
+
+test('finds the next class across holidays and swapped days', () => {
+    const schedule = [
+        { day: 'Monday', time: '8:30-9:50', subject: 'Data Structures', status: 'normal' },
+        { day: 'Tuesday', time: '10:00-11:20', subject: 'Linear Algebra', status: 'cancelled' }
+    ];
+    const next = (date, minutes, classes = schedule) => {
+        const result = ScheduleCore.getNextClass(classes, { day: SemesterCalendar.getWeekday(date), minutes, date }, calendar);
+        return result && [result.cls.subject, result.date];
+    };
+
+    // Monday 23 March is a holiday, Tuesday's class is cancelled and Thursday follows Monday
+    assert.deepEqual(next('2026-03-23', 0), ['Data Structures', '2026-03-26']);
+    // The sheet's cancellation only describes the current week
+    assert.deepEqual(next('2026-03-30', 0, schedule.slice(1)), ['Linear Algebra', '2026-04-07']);
+    assert.equal(next('2026-05-20', 0), null);
+});
@@ -0,0 +1,80 @@
+/**
+ * HTML template tests: sheet cell contents must come out of the templates and the schedule card
+ * as text, never as markup
+ * Run with: node --test
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { escapeHtml, html } = require('../core/html.js');
+const TimetableParser = require('../core/parser.js');
+const ScheduleCards = require('../core/cards.js');
+
+test('escapes markup characters', () => {
+    assert.equal(escapeHtml(`<a href="x" title='y'>Tom & Jerry</a>`),
+        '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;Tom &amp; Jerry&lt;/a&gt;');
+    assert.equal(escapeHtml(null), '');
+    assert.equal(escapeHtml(42), '42');
+});
+
+test('escapes interpolated values but keeps the template markup', () => {
+    const subject = '<img src=x onerror=alert(1)>';
+    assert.equal(
+        String(html`<h3 class="subject-name">${subject}</h3>`),
+        '<h3 class="subject-name">&lt;img src=x onerror=alert(1)&gt;</h3>'
+    );
+});
+
+test('keeps values inside quoted attributes', () => {
+    const label = 'Room 5" onfocus="alert(1)';
+    assert.equal(
+        String(html`<article aria-label="${label}"></article>`),
+        '<article aria-label="Room 5&quot; onfocus=&quot;alert(1)"></article>'
+    );
+});
+
+test('inserts nested templates and arrays of them as markup', () => {
+    const rooms = ['Lab <1>', 'Room 5'];
+    const list = html`<ul>${rooms.map(room => html`<li>${room}</li>`)}</ul>`;
+    assert.equal(String(list), '<ul><li>Lab &lt;1&gt;</li><li>Room 5</li></ul>');
+
+    // Plain strings are never trusted, even when they look like the output of a template
+    assert.equal(String(html`${'<li>Room 5</li>'}`), '&lt;li&gt;Room 5&lt;/li&gt;');
+});
+
+test('renders null, undefined and false as nothing', () => {
+    const isLive = false;
+    assert.equal(String(html`<div>${isLive && html`<span></span>`}${null}${undefined}</div>`), '<div></div>');
+    assert.equal(String(html`<b>${0}</b>`), '<b>0</b>');
+});
+
+test('hostile cell contents reach the card as plain text', () => {
+    const cell = '<img src=x onerror=alert(1)> (SE-C)\nSir <b onmouseover="steal(1)">Ali</b>';
+    const cls = {
+        ...TimetableParser.parseSubjectAndStatus(cell, 'SE-C'),
+        day: 'Monday',
+        room: '<i>Room 5</i>',
+        roomChange: 'Lab "2',
+        isLab: false
+    };
+
+    const card = String(ScheduleCards.renderScheduleCard(cls, {
+        time: { start: '8:30 AM', end: '9:50 AM' },
+        colorIndex: 1,
+        linkId: 'monday-0830-x',
+        ariaLabel: `${cls.subject}, ${cls.roomChange}, ${cls.teacher}`,
+        move: `Moved to ${cls.roomChange}`,
+        moveLinkId: '"><script>',
+        clash: 'Overlaps with <svg onload=alert(1)>',
+        showDay: true
+    }));
+
+    assert.ok(!/<(?:img|b|i|script|svg)\b/.test(card), card);
+    // Escaped values hold no quotes, so with attribute values blanked no tag may carry a handler
+    assert.ok(!/<[^>]*\son\w+=/.test(card.replace(/"[^"]*"/g, '""')), card);
+    assert.match(card, /<h3 class="subject-name ">&lt;img src=x onerror=alert\(1\)&gt;<\/h3>/);
+    assert.match(card, /Sir &lt;b onmouseover=&quot;steal\(1\)&quot;&gt;Ali&lt;\/b&gt;/);
+    assert.match(card, /Lab &quot;2 <span class="room-was">\(usually &lt;i&gt;Room 5&lt;\/i&gt;\)<\/span>/);
+    assert.match(card, /data-class-id="&quot;&gt;&lt;script&gt;"/);
+    assert.match(card, /aria-label="&lt;img src=x onerror=alert\(1\)&gt;, Lab &quot;2, Sir/);
+});
@@ -0,0 +1,76 @@
+/**
+ * iCalendar export tests: weekly classes following the semester calendar
+ * Run with: node --test
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ICalendar = require('../core/ics.js');
+const SemesterCalendar = require('../core/calendar.js');
+
+const calendar = SemesterCalendar.normalizeCalendar(require('../semester.json'), {
+    label: 'Spring 2026', start: '2026-01-19', end: '2026-05-22'
+});
+
+const event = (day, status = 'normal') => ({
+    day, startMinutes: 510, endMinutes: 590, subject: 'Data Structures', room: 'Room 5', status, isLab: false
+});
+
+// Unfolded VEVENT blocks of the calendar
+function buildEvents(events, options = {}) {
+    const ics = ICalendar.buildCalendar(events, {
+        semesterStart: calendar.start,
+        semesterEnd: calendar.end,
+        referenceDate: '2026-04-08',
+        timezone: { id: 'Asia/Karachi', utcOffsetMinutes: 300 },
+        now: new Date('2026-04-08T00:00:00Z'),
+        ...options
+    });
+    return ics.replace(/\r\n /g, '').split('BEGIN:VEVENT').slice(1);
+}
+
+test('repeats weekly classes with only this week\'s cancellation excluded when there is no calendar', () => {
+    const [monday] = buildEvents([event('Monday', 'cancelled')]);
+
+    assert.match(monday, /DTSTART;TZID=Asia\/Karachi:20260119T083000/);
+    assert.match(monday, /RRULE:FREQ=WEEKLY;UNTIL=20260522T185959Z/);
+    assert.match(monday, /EXDATE;TZID=Asia\/Karachi:20260406T083000\r\n/);
+});
+
+test('skips this week\'s slot of a rescheduled class, which is exported in its new slot', () => {
+    const moved = { ...event('Monday', 'rescheduled'), movedTo: { day: 'Friday', time: '08:30-09:50', room: 'Room 5' } };
+    const [monday, friday] = buildEvents([moved, { ...event('Friday', 'makeup'), movedFrom: { day: 'Monday' } }]);
+
+    assert.match(monday, /EXDATE;TZID=Asia\/Karachi:20260406T083000\r\n/);
+    assert.match(friday, /DTSTART;TZID=Asia\/Karachi:20260410T083000/);
+    assert.doesNotMatch(friday, /RRULE/);
+});
+
+test('skips holidays, exam weeks and swapped-away days from the semester calendar', () => {
+    const [monday] = buildEvents([event('Monday', 'cancelled')], { calendar });
+    const exdate = /EXDATE;TZID=Asia\/Karachi:(.*)\r\n/.exec(monday)[1].split(',');
+    assert.deepEqual(exdate, ['20260309T083000', '20260323T083000', '20260406T083000']);
+
+    const [thursday] = buildEvents([event('Thursday')], { calendar });
+    assert.match(thursday, /DTSTART;TZID=Asia\/Karachi:20260122T083000/);
+    assert.match(thursday, /EXDATE;TZID=Asia\/Karachi:20260205T083000,20260312T083000,20260326T083000\r\n/);
+});
+
+test('adds a one-off event on a swapped day for the classes of the day it follows', () => {
+    const [weekly, swap, ...rest] = buildEvents([event('Monday')], { calendar });
+
+    assert.equal(rest.length, 0);
+    assert.match(weekly, /RRULE:/);
+    assert.match(swap, /DTSTART;TZID=Asia\/Karachi:20260326T083000/);
+    assert.match(swap, /DTEND;TZID=Asia\/Karachi:20260326T095000/);
+    assert.match(swap, /Follows the Monday schedule \(Make-up for Pakistan Day\)/);
+    assert.doesNotMatch(swap, /RRULE|EXDATE/);
+    assert.notEqual(/UID:(.*)/.exec(swap)[1], /UID:(.*)/.exec(weekly)[1]);
+
+    assert.equal(buildEvents([event('Tuesday')], { calendar }).length, 1);
+});
+
+test('adds no event for a swapped day that is also a holiday', () => {
+    const clashing = { ...calendar, holidays: [...calendar.holidays, { start: '2026-03-26', end: '2026-03-26', name: 'Rain day' }] };
+    assert.equal(buildEvents([event('Monday')], { calendar: clashing }).length, 1);
+});
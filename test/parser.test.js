@@ -0,0 +1,135 @@
+/**
+ * Sheet parser tests, driven by the cell tables in fixtures/parser-cells.json and the
+ * recorded Sheets API v4 responses (includeGridData) in fixtures/sheets/
+ * Run with: node --test
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TimetableParser = require('../core/parser.js');
+const cells = require('./fixtures/parser-cells.json');
+const expected = require('./fixtures/sheets/expected.json');
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const { profile } = expected;
+
+// The API response nests the grid under sheets[0].data[0], which is what the parser reads
+const loadGrid = day => structuredClone(require(`./fixtures/sheets/${day.toLowerCase()}.json`).sheets[0].data[0]);
+
+// Entries without the raw cell text, so the expectations stay readable
+const summarize = schedule => schedule.map(({ day, rawContent, ...cls }) => cls);
+
+test('parses subject, status, embedded time and teacher from cell text', async (t) => {
+    for (const { input, subject, status, embeddedTime = null, teacher = '', target = null, roomChange = '' } of cells.subjects) {
+        await t.test(JSON.stringify(input), () => {
+            assert.deepEqual(
+                TimetableParser.parseSubjectAndStatus(input, profile.section),
+                { subject, status, embeddedTime, teacher, target, roomChange }
+            );
+        });
+    }
+});
+
+test('treats an empty cell as no subject', () => {
+    assert.deepEqual(
+        TimetableParser.parseSubjectAndStatus('', profile.section),
+        { subject: null, status: 'normal', embeddedTime: null, teacher: '', target: null, roomChange: '' }
+    );
+});
+
+test('extracts and normalizes embedded times', () => {
+    for (const { input, time } of cells.embeddedTimes) {
+        assert.equal(TimetableParser.extractEmbeddedTime(input), time, input);
+    }
+});
+
+test('matches the batch color within the profile tolerance', async (t) => {
+    for (const { name, color, matches } of cells.colors.cases) {
+        await t.test(name, () => {
+            assert.equal(TimetableParser.matchesBatchColor(color, cells.colors.profile), matches);
+        });
+    }
+
+    for (const { color, tolerance, matches } of cells.colors.tolerances) {
+        await t.test(`tolerance ${tolerance}`, () => {
+            assert.equal(TimetableParser.matchesBatchColor(color, { ...cells.colors.profile, tolerance }), matches);
+        });
+    }
+});
+
+test('parses each recorded day sheet', async (t) => {
+    for (const day of DAYS) {
+        await t.test(day, () => {
+            const schedule = TimetableParser.parseGoogleSheetData(loadGrid(day), day, profile);
+            assert.ok(schedule.every(cls => cls.day === day));
+            assert.deepEqual(summarize(schedule), expected[day]);
+        });
+    }
+});
+
+test('looks for the time header in the first 10 rows only', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    // The Thursday sheet's header is on the 10th row
+    const grid = loadGrid('Thursday');
+    assert.equal(TimetableParser.parseGoogleSheetData(grid, 'Thursday', profile).length, 2);
+
+    grid.rowData.unshift({ values: [{ formattedValue: 'Draft' }] });
+    assert.deepEqual(TimetableParser.parseGoogleSheetData(grid, 'Thursday', profile), []);
+    assert.equal(warn.mock.callCount(), 1);
+});
+
+test('skips "lab sessions" and "timetable" rows below the header', () => {
+    const grid = TimetableParser.readTimetableGrid(loadGrid('Tuesday'), 'Tuesday');
+    const rooms = grid.roomRows.map(row => row.room);
+
+    assert.deepEqual(rooms, ['Room 7', 'Room 8', 'Lab 2']);
+    assert.deepEqual(
+        TimetableParser.readTimetableGrid(loadGrid('Monday'), 'Monday').roomRows.map(row => row.room),
+        ['Room 3', 'Room 5', 'CS Lab 1']
+    );
+});
+
+test('matches on section text alone when the sheet has no colors', () => {
+    // Published CSV exports drop formatting, so every "(SE-C)" cell counts
+    const grid = loadGrid('Monday');
+    grid.rowData.forEach(row => row.values?.forEach(cell => delete cell.effectiveFormat));
+
+    const subjects = TimetableParser.parseGoogleSheetData(grid, 'Monday', profile)
+        .map(cls => `${cls.room}: ${cls.subject}`);
+    assert.ok(subjects.includes('Room 5: Data Structures'));
+    assert.equal(subjects.length, expected.Monday.length + 1);
+});
+
+test('returns no classes for a sheet without grid data', () => {
+    assert.deepEqual(TimetableParser.parseGoogleSheetData(null, 'Monday', profile), []);
+    assert.deepEqual(TimetableParser.parseGoogleSheetData({}, 'Monday', profile), []);
+});
+
+test('reports near-miss cells with the rule that rejected them', () => {
+    const grid = loadGrid('Monday');
+    const [, , header, room3, room5] = grid.rowData;
+    header.values[6].formattedValue = '2.30-3.50';
+    room3.values[4] = { formattedValue: 'Software Design', effectiveFormat: room3.values[1].effectiveFormat };
+    room5.values[5] = { formattedValue: 'Quiz (SE-C) at 1.30', effectiveFormat: room3.values[1].effectiveFormat };
+
+    const report = TimetableParser.diagnoseSheet(grid, 'Monday', profile);
+    assert.equal(report.headerFound, true);
+    assert.equal(report.colorsChecked, true);
+    assert.deepEqual(
+        report.nearMisses.map(({ rule, room, content }) => ({ rule, room, content })),
+        [
+            { rule: 'bad-time', room: '', content: '2.30-3.50' },
+            { rule: 'no-section', room: 'Room 3', content: 'Software Design' },
+            { rule: 'wrong-color', room: 'Room 5', content: 'Data Structures (SE-C)' },
+            { rule: 'bad-time', room: 'Room 5', content: 'Quiz (SE-C) at 1.30' }
+        ]
+    );
+});
+
+test('reports a missing header without near misses', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const report = TimetableParser.diagnoseSheet({ rowData: [{ values: [{ formattedValue: 'Rooms' }] }] }, 'Monday', profile);
+    assert.equal(report.headerFound, false);
+    assert.deepEqual(report.nearMisses, []);
+});
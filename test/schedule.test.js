@@ -0,0 +1,122 @@
+/**
+ * Schedule tests: free periods between a day's classes, links between moved classes and
+ * refreshes where some day tabs fail
+ * Run with: node --test
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ScheduleCore = require('../core/schedule.js');
+const ScheduleDiff = require('../core/diff.js');
+const { profile } = require('./fixtures/sheets/expected.json');
+
+// Recorded day tabs, as the parser tests use them; `failing` tabs reject like a network error
+const fixtureFetcher = (failing = []) => async (name) => {
+    if (failing.includes(name)) throw new Error('HTTP 503');
+    if (!ScheduleCore.DAYS.includes(name)) throw new Error(`No ${name} tab`);
+    return structuredClone(require(`./fixtures/sheets/${name.toLowerCase()}.json`).sheets[0].data[0]);
+};
+
+const cls = (time, status = 'normal') => ({ day: 'Monday', time, subject: 'Data Structures', status });
+
+test('finds the gaps between a day\'s classes', () => {
+    const classes = [cls('2:30-3:50'), cls('8:30-9:50'), cls('10:00-11:20')];
+    assert.deepEqual(ScheduleCore.getFreePeriods(classes), [
+        { start: 9 * 60 + 50, end: 10 * 60 },
+        { start: 11 * 60 + 20, end: 14 * 60 + 30 }
+    ]);
+    assert.deepEqual(ScheduleCore.getFreePeriods(classes, { minMinutes: 30 }), [
+        { start: 11 * 60 + 20, end: 14 * 60 + 30 }
+    ]);
+});
+
+test('frees cancelled slots and merges overlapping classes', () => {
+    const classes = [cls('8:30-11:20'), cls('10:00-11:20'), cls('11:30-12:50', 'cancelled'), cls('1:00-2:20')];
+    assert.deepEqual(ScheduleCore.getFreePeriods(classes), [
+        { start: 11 * 60 + 20, end: 13 * 60 }
+    ]);
+    assert.deepEqual(ScheduleCore.getFreePeriods([cls('8:30-9:50')]), []);
+});
+
+test('links a rescheduled class to the class already in its new slot', () => {
+    const original = {
+        ...cls('8:30-9:50', 'rescheduled'), room: 'Room 3',
+        target: { day: 'Thursday', time: '2:30', room: 'Lab 3' }
+    };
+    const makeup = { ...cls('14:30-15:50', 'makeup'), day: 'Thursday', room: 'Lab 3' };
+    const schedule = [original, makeup];
+
+    ScheduleCore.linkMovedClasses(schedule);
+    assert.equal(schedule.length, 2);
+    assert.deepEqual(original.movedTo, { day: 'Thursday', time: '14:30-15:50', room: 'Lab 3' });
+    assert.deepEqual(makeup.movedFrom, { day: 'Monday', time: '8:30-9:50', room: 'Room 3' });
+    assert.equal(ScheduleCore.isHeldInSlot(original), false);
+    assert.equal(ScheduleCore.isHeldInSlot(makeup), true);
+});
+
+test('adds a makeup class for a new slot the sheet does not list', () => {
+    const original = { ...cls('8:30-9:50', 'rescheduled'), room: 'Room 3', target: { day: 'Friday', time: null, room: null } };
+    const schedule = [original];
+
+    ScheduleCore.linkMovedClasses(schedule);
+    assert.equal(schedule.length, 2);
+    const { day, time, room, status, movedFrom } = schedule[1];
+    assert.deepEqual(
+        { day, time, room, status, movedFrom },
+        { day: 'Friday', time: '08:30-09:50', room: 'Room 3', status: 'makeup', movedFrom: { day: 'Monday', time: '8:30-9:50', room: 'Room 3' } }
+    );
+    assert.deepEqual(original.movedTo, { day: 'Friday', time: '08:30-09:50', room: 'Room 3' });
+});
+
+test('leaves notices without a usable slot unlinked', () => {
+    const schedule = [
+        { ...cls('8:30-9:50', 'rescheduled'), target: { day: null, time: null, room: 'Lab 3' } },
+        { ...cls('8:30-9:50', 'rescheduled'), target: { day: 'Monday', time: '8:30', room: null } },
+        { ...cls('10:00-11:20', 'cancelled'), target: null }
+    ];
+
+    ScheduleCore.linkMovedClasses(schedule);
+    assert.equal(schedule.length, 3);
+    assert.ok(schedule.every(entry => !entry.movedTo));
+});
+
+test('accepts the same section names in the page and the proxy', () => {
+    for (const section of ['SE-C', 'BS CS 2', 'SE_A', '2024-SE']) {
+        assert.equal(ScheduleCore.isValidSection(section), true, section);
+    }
+    for (const section of ['', '-SE', 'SE<C>', 'A'.repeat(21), undefined]) {
+        assert.equal(ScheduleCore.isValidSection(section), false, String(section));
+    }
+});
+
+test('keeps the previous classes of a day whose tab failed to load', async () => {
+    const previous = (await ScheduleCore.loadSchedule({ fetchSheet: fixtureFetcher(), profile })).schedule;
+    const { schedule, days } = await ScheduleCore.loadSchedule({ fetchSheet: fixtureFetcher(['Tuesday']), profile });
+
+    assert.equal(days.Tuesday.ok, false);
+    assert.equal(schedule.some(cls => cls.day === 'Tuesday'), false);
+
+    const merged = ScheduleCore.mergeFailedDays(schedule, previous, days);
+    assert.deepEqual(merged, previous);
+    assert.deepEqual(ScheduleDiff.diffSchedules(previous, merged), []);
+
+    // Without the merge, every Tuesday class would be logged as removed
+    assert.ok(ScheduleDiff.diffSchedules(previous, schedule).some(change => change.type === 'removed' && change.day === 'Tuesday'));
+});
+
+test('keeps an added makeup class out of later weeks', () => {
+    const SemesterCalendar = require('../core/calendar.js');
+    const calendar = SemesterCalendar.normalizeCalendar(null, { start: '2026-02-02', end: '2026-05-31' });
+    const schedule = [{ ...cls('8:30-9:50', 'rescheduled'), day: 'Friday', target: { day: 'Monday', time: '2:30', room: null } }];
+    ScheduleCore.linkMovedClasses(schedule);
+
+    const next = (date, minutes) => {
+        const result = ScheduleCore.getNextClass(schedule, { day: SemesterCalendar.getWeekday(date), minutes, date }, calendar);
+        return result && [result.cls.status, result.date];
+    };
+
+    // Monday 2 February holds the makeup; the following Monday does not
+    assert.deepEqual(next('2026-02-02', 0), ['makeup', '2026-02-02']);
+    assert.deepEqual(next('2026-02-07', 0), ['rescheduled', '2026-02-13']);
+    assert.equal(ScheduleCore.isOneOff(schedule[1]), true);
+});
@@ -0,0 +1,130 @@
+/**
+ * Sheet source tests: CSV, recorded JSON and .xlsx readers all produce Sheets API grid data
+ * Run with: node --test
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+
+const SheetSources = require('../core/sources.js');
+
+const texts = gridData => gridData.rowData.map(row => row.values.map(cell => cell.formattedValue ?? ''));
+
+/**
+ * Minimal zip writer for building .xlsx files in memory; entries given as a Buffer are
+ * deflated, strings are stored. The reader does not check CRCs, so they are left at zero
+ */
+function buildZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const [name, contents] of Object.entries(files)) {
+        const deflate = Buffer.isBuffer(contents);
+        const data = deflate ? zlib.deflateRawSync(contents) : Buffer.from(contents);
+        const nameBytes = Buffer.from(name);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(deflate ? 8 : 0, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt16LE(nameBytes.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(deflate ? 8 : 0, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBytes, data);
+        centrals.push(central, nameBytes);
+        offset += local.length + nameBytes.length + data.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+test('reads quoted fields, doubled quotes and line breaks in CSV', () => {
+    const csv = '﻿Room,"8:30-9:50","10:00-11:20"\r\n' +
+        'Room 5,"COAL (SE-C)\nMs. Hira Ahmed","Prob, Stats (SE-C) ""Quiz"""\r\n' +
+        'Lab 1,,DS Lab (SE-C)';
+    const gridData = SheetSources.csvToGridData(csv);
+
+    assert.deepEqual(texts(gridData), [
+        ['Room', '8:30-9:50', '10:00-11:20'],
+        ['Room 5', 'COAL (SE-C)\nMs. Hira Ahmed', 'Prob, Stats (SE-C) "Quiz"'],
+        ['Lab 1', '', 'DS Lab (SE-C)']
+    ]);
+    assert.deepEqual(gridData.rowData[2].values[1], {});
+});
+
+test('reports that CSV grids carry no colors to filter batches by', () => {
+    assert.equal(SheetSources.hasBackgroundColors(SheetSources.csvToGridData('Room,8:30\nRoom 5,COAL (SE-C)')), false);
+    assert.equal(SheetSources.hasBackgroundColors({
+        rowData: [{ values: [{ formattedValue: 'COAL (SE-C)', effectiveFormat: { backgroundColor: { red: 0.5 } } }] }]
+    }), true);
+});
+
+test('reads recorded sheets as API responses, grid data or rows of text', () => {
+    const grid = { rowData: [{ values: [{ formattedValue: 'Room' }] }] };
+    const sheets = SheetSources.readRecordedSheets(JSON.stringify({
+        Monday: { sheets: [{ data: [grid] }] },
+        Tuesday: grid,
+        Wednesday: [['Room']],
+        Notes: 'not a sheet'
+    }));
+
+    assert.deepEqual(Object.keys(sheets), ['Monday', 'Tuesday', 'Wednesday']);
+    assert.deepEqual(sheets.Wednesday, grid);
+    assert.throws(() => SheetSources.readRecordedSheets('{'), /not valid JSON/);
+    assert.throws(() => SheetSources.readRecordedSheets('{}'), /does not contain any sheets/);
+});
+
+test('reads cell text and solid fill colors from an .xlsx workbook', async () => {
+    const xlsx = buildZip({
+        'xl/workbook.xml': '<workbook><sheets><sheet name="Monday" sheetId="1" r:id="rId1"/>' +
+            '<sheet name="Faculty" sheetId="2" r:id="rId2"/></sheets></workbook>',
+        'xl/_rels/workbook.xml.rels': '<Relationships>' +
+            '<Relationship Id="rId1" Target="worksheets/sheet1.xml"/>' +
+            '<Relationship Id="rId2" Target="/xl/worksheets/sheet2.xml"/></Relationships>',
+        'xl/sharedStrings.xml': Buffer.from('<sst><si><t>Room</t></si>' +
+            '<si><r><t>COAL (SE-C)</t></r><r><t xml:space="preserve">\nMs. Hira</t></r></si></sst>'),
+        'xl/styles.xml': '<styleSheet><fills count="3"><fill><patternFill patternType="none"/></fill>' +
+            '<fill><patternFill patternType="gray125"/></fill>' +
+            '<fill><patternFill patternType="solid"><fgColor rgb="FF85200C"/></patternFill></fill></fills>' +
+            '<cellXfs count="2"><xf fillId="0"/><xf fillId="2"/></cellXfs></styleSheet>',
+        'xl/worksheets/sheet1.xml': Buffer.from('<worksheet><sheetData>' +
+            '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><t>8:30 &amp; after</t></is></c></row>' +
+            '<row r="3"><c r="A3"><v>5</v></c><c r="B3" t="s" s="1"><v>1</v></c></row>' +
+            '</sheetData></worksheet>'),
+        'xl/worksheets/sheet2.xml': '<worksheet><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>Course</t></is></c></row></sheetData></worksheet>'
+    });
+
+    const sheets = await SheetSources.readXlsx(xlsx);
+    assert.deepEqual(Object.keys(sheets), ['Monday', 'Faculty']);
+    assert.deepEqual(texts(sheets.Monday), [
+        ['Room', '', '8:30 & after'],
+        [],
+        ['5', 'COAL (SE-C)\nMs. Hira']
+    ]);
+
+    const { red, green, blue } = sheets.Monday.rowData[2].values[1].effectiveFormat.backgroundColor;
+    assert.deepEqual([red, green, blue].map(channel => Math.round(channel * 255)), [0x85, 0x20, 0x0c]);
+    assert.equal(sheets.Monday.rowData[0].values[0].effectiveFormat, undefined);
+    assert.equal(SheetSources.hasBackgroundColors(sheets.Monday), true);
+    assert.equal(SheetSources.hasBackgroundColors(sheets.Faculty), false);
+});
+
+test('rejects files that are not .xlsx workbooks', async () => {
+    await assert.rejects(SheetSources.readXlsx(Buffer.from('not a zip')), /not an .xlsx workbook/);
+    await assert.rejects(SheetSources.readXlsx(buildZip({ 'docProps/app.xml': '<Properties/>' })), /not an .xlsx workbook/);
+});
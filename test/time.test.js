@@ -0,0 +1,90 @@
+/**
+ * Time model tests, driven by the header and cell formats in fixtures/time-ranges.json
+ * Run with: node --test
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ScheduleTime = require('../core/time.js');
+const TimetableParser = require('../core/parser.js');
+const fixtures = require('./fixtures/time-ranges.json');
+
+const toClock = minutes => (minutes === null ? null : ScheduleTime.formatClock24(minutes));
+
+test('parses timetable time ranges', async (t) => {
+    for (const { input, start, end } of fixtures.ranges) {
+        await t.test(JSON.stringify(input), () => {
+            const range = ScheduleTime.parseTimeRange(input);
+            assert.ok(range, `expected "${input}" to parse`);
+            assert.equal(toClock(range.start), start);
+            assert.equal(toClock(range.end), end);
+        });
+    }
+});
+
+test('rejects text that is not a time', async (t) => {
+    for (const input of fixtures.invalid) {
+        await t.test(JSON.stringify(input), () => {
+            assert.equal(ScheduleTime.parseTimeRange(input), null);
+        });
+    }
+});
+
+test('detects labs by duration', () => {
+    for (const { input, lab = false } of fixtures.ranges) {
+        assert.equal(ScheduleTime.isLabDuration(ScheduleTime.parseTimeRange(input)), lab, input);
+    }
+});
+
+test('finds time ranges embedded in cell text', () => {
+    for (const { input, time } of fixtures.embedded) {
+        assert.equal(TimetableParser.extractEmbeddedTime(input), time, input);
+    }
+});
+
+test('formats minutes as a 12-hour clock', () => {
+    assert.equal(ScheduleTime.formatClock(0), '12:00 AM');
+    assert.equal(ScheduleTime.formatClock(510), '8:30 AM');
+    assert.equal(ScheduleTime.formatClock(720), '12:00 PM');
+    assert.equal(ScheduleTime.formatClock(870), '2:30 PM');
+    assert.equal(ScheduleTime.formatClock(null), '');
+});
+
+test('formats durations for countdowns', () => {
+    assert.equal(ScheduleTime.formatDuration(0), '0 min');
+    assert.equal(ScheduleTime.formatDuration(25), '25 min');
+    assert.equal(ScheduleTime.formatDuration(70), '1h 10m');
+    assert.equal(ScheduleTime.formatDuration(120), '2h');
+});
+
+test('sorts ranges by start, then end, with unparseable ranges last', () => {
+    const inputs = ['02:30-03:50', 'TBA', '08:30-11:15', '11:30-12:50', '08:30-09:50', '12:00-01:20'];
+    const sorted = inputs
+        .map(input => ({ input, range: ScheduleTime.parseTimeRange(input) }))
+        .sort((a, b) => ScheduleTime.compareRanges(a.range, b.range))
+        .map(({ input }) => input);
+
+    assert.deepEqual(sorted, ['08:30-09:50', '08:30-11:15', '11:30-12:50', '12:00-01:20', '02:30-03:50', 'TBA']);
+});
+
+test('detects overlapping ranges', () => {
+    const range = text => ScheduleTime.parseTimeRange(text);
+
+    assert.equal(ScheduleTime.rangesOverlap(range('08:30-11:15'), range('10:00-11:20')), true);
+    assert.equal(ScheduleTime.rangesOverlap(range('08:30-09:50'), range('09:50-11:10')), false);
+    assert.equal(ScheduleTime.rangesOverlap(range('08:30-09:50'), range('09:30')), true);
+    assert.equal(ScheduleTime.rangesOverlap(range('08:30-09:50'), null), false);
+});
+
+test('lays overlapping ranges out in lanes', () => {
+    const lanes = ScheduleTime.assignLanes(['08:30-11:15', '08:30-09:50', '10:00-11:20', '11:30-12:50', 'TBA']
+        .map(text => ScheduleTime.parseTimeRange(text)));
+
+    assert.deepEqual(lanes, [
+        { lane: 0, lanes: 2 },
+        { lane: 1, lanes: 2 },
+        { lane: 1, lanes: 2 },
+        { lane: 0, lanes: 1 },
+        null
+    ]);
+});